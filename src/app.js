@@ -0,0 +1,120 @@
+// src/app.js
+// ─────────────────────────────────────────────────────────
+// The Express app: middleware, routes, error handlers
+// Requiring it connects to nothing and listens on nothing —
+// server.js does that; tests mount it directly
+// ─────────────────────────────────────────────────────────
+require('dotenv').config();
+const express    = require('express');
+const cors       = require('cors');
+const helmet     = require('helmet');
+const morgan     = require('morgan');
+const path       = require('path');
+const fs         = require('fs');
+
+const { errorHandler } = require('./middleware/errorHandler');
+const { apiLimiter }   = require('./middleware/rateLimiter');
+
+// Route imports
+const authRoutes     = require('./routes/authRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const threadRoutes   = require('./routes/threadRoutes');
+const adminRoutes    = require('./routes/adminRoutes');
+const appealRoutes   = require('./routes/appealRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const searchRoutes     = require('./routes/searchRoutes');
+const tagRoutes        = require('./routes/tagRoutes');
+const attachmentRoutes = require('./routes/attachmentRoutes');
+const avatarRoutes     = require('./routes/avatarRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+
+// ── Create logs directory if it doesn't exist ────────────
+const logsDir = path.join(__dirname, '..', 'logs');
+if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir);
+
+// ── Initialize Express ───────────────────────────────────
+const app = express();
+
+// ── Security Middleware ──────────────────────────────────
+// helmet: sets security-related HTTP headers
+app.use(helmet());
+
+// CORS: allow cross-origin requests (configure origins in production!)
+app.use(cors({
+  origin: process.env.CORS_ORIGIN || '*',
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+}));
+
+// ── Body Parsing ─────────────────────────────────────────
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// ── Request Logging ──────────────────────────────────────
+// 'dev' format in dev, 'combined' in production
+app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+
+// ── Global Rate Limiter ──────────────────────────────────
+app.use('/api/', apiLimiter);
+
+// ── Health Check ─────────────────────────────────────────
+// Used by load balancers and Docker health checks
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    env: process.env.NODE_ENV,
+  });
+});
+
+// ── API Routes ───────────────────────────────────────────
+// All REST API routes under /api/v1
+app.use('/api/v1/auth',       authRoutes);
+app.use('/api/v1/categories', categoryRoutes);
+app.use('/api/v1/threads',    threadRoutes);
+app.use('/api/v1/admin',      adminRoutes);
+app.use('/api/v1/appeals',    appealRoutes);
+app.use('/api/v1/moderation', moderationRoutes);
+app.use('/api/v1/search',     searchRoutes);
+app.use('/api/v1/tags',       tagRoutes);
+app.use('/api/v1/attachments', attachmentRoutes);
+app.use('/api/v1/avatars',    avatarRoutes);
+app.use('/api/v1/notifications', notificationRoutes);
+
+// ── API Info ─────────────────────────────────────────────
+app.get('/api/v1', (req, res) => {
+  res.json({
+    name:    'Discussion Portal API',
+    version: '1.0.0',
+    endpoints: {
+      auth:       '/api/v1/auth',
+      categories: '/api/v1/categories',
+      threads:    '/api/v1/threads',
+      admin:      '/api/v1/admin',
+      appeals:    '/api/v1/appeals',
+      moderation: '/api/v1/moderation',
+      search:     '/api/v1/search',
+      tags:       '/api/v1/tags',
+      attachments: '/api/v1/attachments',
+      avatars:    '/api/v1/avatars',
+      notifications: '/api/v1/notifications',
+    },
+  });
+});
+// TEMP: initialize production DB (run once)
+
+
+// ── 404 Handler ──────────────────────────────────────────
+app.use('*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: `Route ${req.method} ${req.originalUrl} not found.`,
+  });
+});
+
+// ── Global Error Handler ─────────────────────────────────
+// Must be LAST middleware registered
+app.use(errorHandler);
+
+module.exports = app;
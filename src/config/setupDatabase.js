@@ -29,6 +29,57 @@ const setupDatabase = async () => {
       END $$;
     `);
 
+    await query(`
+      DO $$ BEGIN
+        CREATE TYPE appeal_status AS ENUM ('pending', 'accepted', 'rejected');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `);
+
+    await query(`
+      DO $$ BEGIN
+        CREATE TYPE report_reason AS ENUM ('spam', 'harassment', 'hate', 'nsfw', 'misinformation', 'off_topic', 'other');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `);
+
+    await query(`
+      DO $$ BEGIN
+        CREATE TYPE report_status AS ENUM ('open', 'resolved', 'dismissed');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `);
+
+    // Who may read / post in a category (see services/accessService.js)
+    await query(`
+      DO $$ BEGIN
+        CREATE TYPE category_read_access AS ENUM ('everyone', 'members', 'staff', 'groups');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `);
+
+    await query(`
+      DO $$ BEGIN
+        CREATE TYPE category_write_access AS ENUM ('members', 'staff', 'groups');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `);
+
+    await query(`
+      DO $$ BEGIN
+        CREATE TYPE group_permission AS ENUM ('read', 'write');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `);
+
+    // Kinds of in-app notification (services/notificationService.js)
+    await query(`
+      DO $$ BEGIN
+        CREATE TYPE notification_type AS ENUM ('thread_reply', 'comment_reply', 'mention', 'upvote', 'moderation');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `);
+
     // ── USERS TABLE ────────────────────────────────────────
     // Core user identity lives in PostgreSQL for relational integrity
     await query(`
@@ -48,6 +99,29 @@ const setupDatabase = async () => {
       );
     `);
 
+    // Session version — embedded in every JWT as `tv`. Bumping it
+    // (ban, role change, password change) kills all issued tokens.
+    await query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+    `);
+
+    // Email verification — accounts that existed before this column
+    // are grandfathered in as verified, new ones start unverified.
+    await query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS email_verified    BOOLEAN NOT NULL DEFAULT true,
+        ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+    `);
+    await query(`ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT false;`);
+
+    // Uploaded avatar — avatar_version names the stored image set
+    // (services/avatarService); NULL means the generated identicon
+    await query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS avatar_version VARCHAR(32);
+    `);
+
     // ── CATEGORIES TABLE ───────────────────────────────────
     await query(`
       CREATE TABLE IF NOT EXISTS categories (
@@ -61,6 +135,24 @@ const setupDatabase = async () => {
       );
     `);
 
+    // Hierarchy + display metadata (parent_id NULL = top level;
+    // siblings are shown by position, then name)
+    await query(`
+      ALTER TABLE categories
+        ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES categories(id),
+        ADD COLUMN IF NOT EXISTS position  INTEGER NOT NULL DEFAULT 0 CHECK (position >= 0),
+        ADD COLUMN IF NOT EXISTS icon      VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS color     VARCHAR(7) CHECK (color ~ '^#[0-9a-fA-F]{6}$');
+    `);
+
+    // Permissions: read-only announcements = write_access 'staff';
+    // 'groups' defers to category_groups
+    await query(`
+      ALTER TABLE categories
+        ADD COLUMN IF NOT EXISTS read_access  category_read_access  NOT NULL DEFAULT 'everyone',
+        ADD COLUMN IF NOT EXISTS write_access category_write_access NOT NULL DEFAULT 'members';
+    `);
+
     // ── THREAD METADATA TABLE ──────────────────────────────
     // Thread metadata (title, category, stats) → PostgreSQL
     // Thread content (posts/replies) → MongoDB
@@ -94,6 +186,15 @@ const setupDatabase = async () => {
       );
     `);
 
+    // Rotation columns — every refresh issues a new token in the same family.
+    // `token` holds a SHA-256 hash, never the raw value.
+    await query(`
+      ALTER TABLE refresh_tokens
+        ADD COLUMN IF NOT EXISTS family_id   UUID NOT NULL DEFAULT gen_random_uuid(),
+        ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS revoked_at  TIMESTAMPTZ;
+    `);
+
     // ── USER BANS TABLE ────────────────────────────────────
     await query(`
       CREATE TABLE IF NOT EXISTS user_bans (
@@ -106,6 +207,198 @@ const setupDatabase = async () => {
       );
     `);
 
+    // Set when a ban is lifted early (unban, appeal, superseded by a new ban)
+    await query(`
+      ALTER TABLE user_bans
+        ADD COLUMN IF NOT EXISTS lifted_at   TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS lifted_by   UUID REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS lift_reason TEXT;
+    `);
+
+    // ── BAN APPEALS TABLE ──────────────────────────────────
+    // One appeal per ban (UNIQUE ban_id)
+    await query(`
+      CREATE TABLE IF NOT EXISTS ban_appeals (
+        id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        ban_id       UUID UNIQUE NOT NULL REFERENCES user_bans(id) ON DELETE CASCADE,
+        user_id      UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        message      TEXT NOT NULL,
+        status       appeal_status NOT NULL DEFAULT 'pending',
+        reviewed_by  UUID REFERENCES users(id) ON DELETE SET NULL,
+        review_note  TEXT,
+        reviewed_at  TIMESTAMPTZ,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // ── PASSWORD RESET TOKENS TABLE ────────────────────────
+    // Single-use, short-lived; only the SHA-256 hash is stored
+    await query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash  TEXT UNIQUE NOT NULL,
+        expires_at  TIMESTAMPTZ NOT NULL,
+        used_at     TIMESTAMPTZ,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // ── EMAIL VERIFICATION TOKENS TABLE ────────────────────
+    await query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash  TEXT UNIQUE NOT NULL,
+        expires_at  TIMESTAMPTZ NOT NULL,
+        used_at     TIMESTAMPTZ,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // ── CONTENT REPORTS TABLE ──────────────────────────────
+    // Target = a thread (comment_id NULL) or one of its comments
+    // (comment_id = MongoDB ObjectId). thread_id is SET NULL so
+    // the report survives the thread being deleted as its outcome.
+    await query(`
+      CREATE TABLE IF NOT EXISTS reports (
+        id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        thread_id        UUID REFERENCES threads(id) ON DELETE SET NULL,
+        comment_id       VARCHAR(24),
+        reporter_id      UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        reported_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        reason           report_reason NOT NULL,
+        details          TEXT,
+        status           report_status NOT NULL DEFAULT 'open',
+        action_taken     VARCHAR(50),
+        resolution_note  TEXT,
+        resolved_by      UUID REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at      TIMESTAMPTZ,
+        created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // ── TAGS ───────────────────────────────────────────────
+    // Canonical tags + thread links (GET /threads?tag= is an
+    // indexed join). MongoDB Post.tags mirrors the canonical
+    // names so full-text search still sees them.
+    await query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name        VARCHAR(30) UNIQUE NOT NULL,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS thread_tags (
+        thread_id  UUID NOT NULL REFERENCES threads(id) ON DELETE CASCADE,
+        tag_id     UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (thread_id, tag_id)
+      );
+    `);
+
+    // Alternative spellings resolved to a canonical tag ("js" → "javascript")
+    await query(`
+      CREATE TABLE IF NOT EXISTS tag_aliases (
+        alias       VARCHAR(30) PRIMARY KEY,
+        tag_id      UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // Tags nobody may use
+    await query(`
+      CREATE TABLE IF NOT EXISTS tag_blocklist (
+        name        VARCHAR(30) PRIMARY KEY,
+        reason      TEXT,
+        blocked_by  UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // ── USER GROUPS ────────────────────────────────────────
+    // Named sets of users that private categories can be opened to
+    await query(`
+      CREATE TABLE IF NOT EXISTS user_groups (
+        id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name        VARCHAR(50) UNIQUE NOT NULL,
+        description TEXT,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS user_group_members (
+        group_id  UUID NOT NULL REFERENCES user_groups(id) ON DELETE CASCADE,
+        user_id   UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        added_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (group_id, user_id)
+      );
+    `);
+
+    // Groups granted on a category; 'write' implies 'read'
+    await query(`
+      CREATE TABLE IF NOT EXISTS category_groups (
+        category_id  UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        group_id     UUID NOT NULL REFERENCES user_groups(id) ON DELETE CASCADE,
+        permission   group_permission NOT NULL DEFAULT 'read',
+        PRIMARY KEY (category_id, group_id)
+      );
+    `);
+
+    // ── THREAD REDIRECTS ───────────────────────────────────
+    // Slugs of threads merged into another one keep working
+    await query(`
+      CREATE TABLE IF NOT EXISTS thread_redirects (
+        slug        VARCHAR(500) PRIMARY KEY,
+        thread_id   UUID NOT NULL REFERENCES threads(id) ON DELETE CASCADE,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // ── CATEGORY MODERATORS ────────────────────────────────
+    // Moderators for specific categories (and their subcategories)
+    // on top of the global moderator role
+    await query(`
+      CREATE TABLE IF NOT EXISTS category_moderators (
+        category_id   UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        user_id       UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        appointed_by  UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (category_id, user_id)
+      );
+    `);
+
+    // ── ATTACHMENTS ────────────────────────────────────────
+    // Files on opening posts and comments. The bytes live in the
+    // storage backend (services/storage); doc_id is the MongoDB
+    // Post or Comment _id, which merge/split keep. Sizes here are
+    // what per-user quotas add up.
+    await query(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        doc_id       VARCHAR(24) NOT NULL,
+        uploader_id  UUID REFERENCES users(id) ON DELETE SET NULL,
+        storage_key  VARCHAR(255) NOT NULL UNIQUE,
+        filename     VARCHAR(255) NOT NULL,
+        mimetype     VARCHAR(100) NOT NULL,
+        size         INTEGER NOT NULL,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+
+    // ── NOTIFICATION PREFERENCES ───────────────────────────
+    // Per-type on/off switches. No row = the type is on; the
+    // notifications themselves live in MongoDB (models/Notification)
+    await query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id     UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type        notification_type NOT NULL,
+        enabled     BOOLEAN NOT NULL,
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, type)
+      );
+    `);
+
     // ════════════════════════════════════════════════════════
     // INDEXES — this is what reduced query latency by 40%
     // ════════════════════════════════════════════════════════
@@ -113,7 +406,10 @@ const setupDatabase = async () => {
     // Users: fast lookup by email (login) and username
     await query(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);`);
     await query(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);`);
+    // Users: case-insensitive @mention lookup
+    await query(`CREATE INDEX IF NOT EXISTS idx_users_username_lower ON users(LOWER(username));`);
     await query(`CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_users_created ON users(created_at DESC, id DESC);`);
 
     // Threads: most common query patterns
     await query(`CREATE INDEX IF NOT EXISTS idx_threads_category ON threads(category_id);`);
@@ -128,6 +424,17 @@ const setupDatabase = async () => {
       ON threads(category_id, last_reply_at DESC NULLS LAST, is_pinned DESC);
     `);
 
+    // Keyset cursors: indexes matching getThreads' ORDER BY exactly
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_threads_keyset_activity
+      ON threads(is_pinned DESC, COALESCE(last_reply_at, '-infinity'::TIMESTAMPTZ) DESC, id DESC);
+    `);
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_threads_keyset_category_activity
+      ON threads(category_id, is_pinned DESC, COALESCE(last_reply_at, '-infinity'::TIMESTAMPTZ) DESC, id DESC);
+    `);
+    await query(`CREATE INDEX IF NOT EXISTS idx_threads_keyset_newest ON threads(is_pinned DESC, created_at DESC, id DESC);`);
+
     // Full-text search on thread titles (GIN index for text search)
     await query(`
       CREATE INDEX IF NOT EXISTS idx_threads_title_fts
@@ -137,9 +444,46 @@ const setupDatabase = async () => {
     // Refresh tokens: fast expiry check + user lookup
     await query(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);`);
     await query(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);`);
+
+    // Password resets: invalidate a user's outstanding tokens
+    await query(`CREATE INDEX IF NOT EXISTS idx_password_reset_user ON password_reset_tokens(user_id);`);
+
+    await query(`CREATE INDEX IF NOT EXISTS idx_email_verification_user ON email_verification_tokens(user_id);`);
+
+    // Bans: active-ban lookup per user
+    await query(`CREATE INDEX IF NOT EXISTS idx_user_bans_user ON user_bans(user_id, created_at DESC);`);
+
+    // Appeals: admin queue by status
+    await query(`CREATE INDEX IF NOT EXISTS idx_ban_appeals_status ON ban_appeals(status, created_at);`);
+
+    // Reports: one OPEN report per user per target + moderator queue
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_unique
+      ON reports(reporter_id, thread_id, COALESCE(comment_id, ''))
+      WHERE status = 'open';
+    `);
+    await query(`CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(thread_id, comment_id);`);
+
+    // Tags: threads by tag (the PK covers tags by thread)
+    await query(`CREATE INDEX IF NOT EXISTS idx_thread_tags_tag ON thread_tags(tag_id, thread_id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_tag_aliases_tag ON tag_aliases(tag_id);`);
+
+    // Groups: "which groups is this user in" (permission checks)
+    await query(`CREATE INDEX IF NOT EXISTS idx_group_members_user ON user_group_members(user_id);`);
+    // Thread redirects: re-pointed when the target is merged again
+    await query(`CREATE INDEX IF NOT EXISTS idx_thread_redirects_thread ON thread_redirects(thread_id);`);
+    // Category moderators: "which categories does this user moderate"
+    await query(`CREATE INDEX IF NOT EXISTS idx_category_moderators_user ON category_moderators(user_id);`);
+    // Attachments: a post's/comment's files, a user's quota usage
+    await query(`CREATE INDEX IF NOT EXISTS idx_attachments_doc ON attachments(doc_id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_attachments_uploader ON attachments(uploader_id);`);
 
     // Categories: slug lookup for URL routing
     await query(`CREATE INDEX IF NOT EXISTS idx_categories_slug ON categories(slug);`);
+    // Categories: children of a parent in display order
+    await query(`CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id, position, name);`);
 
     // ── TRIGGER: auto-update updated_at ───────────────────
     await query(`
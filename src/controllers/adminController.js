@@ -5,13 +5,24 @@
 // ─────────────────────────────────────────────────────────
 const { query } = require('../config/postgres');
 const ActivityLog = require('../models/ActivityLog');
-const { logActivity, getPagination, paginatedResponse, successResponse } = require('../utils/helpers');
+const mongoose = require('mongoose');
+const {
+  logActivity, getPagination, paginatedResponse,
+  getCursorPagination, cursorResponse, successResponse,
+} = require('../utils/helpers');
+const { bumpTokenVersion } = require('../services/tokenService');
+const {
+  resolveBan, liftActiveBans, getBanHistory, formatBan,
+} = require('../services/banService');
+const { banAccount } = require('../services/moderationService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 
 // ── GET /api/admin/users ─────────────────────────────────
+// page/limit or cursor/limit — same contract as GET /threads
 const getUsers = asyncHandler(async (req, res) => {
-  const { page, limit, offset } = getPagination(req.query);
   const { role, search, banned } = req.query;
+  // Cursor = [created_at (as text, full precision), id]
+  const cursor = getCursorPagination(req.query, 'newest', 2);
 
   const conditions = [];
   const params = [];
@@ -31,19 +42,34 @@ const getUsers = asyncHandler(async (req, res) => {
     i++;
   }
 
+  if (cursor?.after) {
+    conditions.push(`(created_at, id) < ($${i}::TIMESTAMPTZ, $${i + 1}::UUID)`);
+    params.push(...cursor.after);
+    i += 2;
+  }
+
   const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  const usersQuery = `
+    SELECT id, username, email, role, is_active, is_banned, ban_reason, created_at,
+           created_at::TEXT AS sort_key
+    FROM users ${where} ORDER BY created_at DESC, id DESC LIMIT $${i} OFFSET $${i + 1}`;
+
+  const withoutSortKey = rows => rows.map(({ sort_key, ...row }) => row);
 
+  if (cursor) {
+    const usersResult = await query(usersQuery, [...params, cursor.limit + 1, 0]);
+    const page = cursorResponse(usersResult.rows, cursor.limit, 'newest', row => [row.sort_key, row.id]);
+    return successResponse(res, { ...page, data: withoutSortKey(page.data) });
+  }
+
+  const { page, limit, offset } = getPagination(req.query);
   const [usersResult, countResult] = await Promise.all([
-    query(
-      `SELECT id, username, email, role, is_active, is_banned, ban_reason, created_at
-       FROM users ${where} ORDER BY created_at DESC LIMIT $${i} OFFSET $${i + 1}`,
-      [...params, limit, offset]
-    ),
+    query(usersQuery, [...params, limit, offset]),
     query(`SELECT COUNT(*)::INTEGER AS total FROM users ${where}`, params),
   ]);
 
   return successResponse(res, paginatedResponse(
-    usersResult.rows,
+    withoutSortKey(usersResult.rows),
     countResult.rows[0].total,
     page, limit
   ));
@@ -56,8 +82,17 @@ const getUserById = asyncHandler(async (req, res) => {
      FROM users WHERE id = $1`,
     [req.params.userId]
   );
-  if (!result.rows[0]) throw new AppError('User not found.', 404);
-  return successResponse(res, { user: result.rows[0] });
+  const user = result.rows[0];
+  if (!user) throw new AppError('User not found.', 404);
+
+  // Lazily lifts an expired ban so the flag shown here is accurate
+  const activeBan = user.is_banned ? await resolveBan(user.id) : null;
+  if (user.is_banned && !activeBan) {
+    user.is_banned = false;
+    user.ban_reason = null;
+  }
+
+  return successResponse(res, { user: { ...user, active_ban: formatBan(activeBan) } });
 });
 
 // ── POST /api/admin/users/:userId/ban ────────────────────
@@ -65,33 +100,17 @@ const banUser = asyncHandler(async (req, res) => {
   const { reason, expiresAt } = req.body;
   const { userId } = req.params;
 
-  // Can't ban another admin
-  const targetResult = await query(`SELECT id, role FROM users WHERE id = $1`, [userId]);
-  const target = targetResult.rows[0];
-  if (!target) throw new AppError('User not found.', 404);
-  if (target.role === 'admin') throw new AppError('Cannot ban an admin.', 403);
-
-  // Update user ban status
-  await query(
-    `UPDATE users SET is_banned = true, ban_reason = $1 WHERE id = $2`,
-    [reason, userId]
-  );
-
-  // Record ban in ban history
-  await query(
-    `INSERT INTO user_bans (user_id, banned_by, reason, expires_at)
-     VALUES ($1, $2, $3, $4)`,
-    [userId, req.user.id, reason, expiresAt || null]
-  );
+  const ban = await banAccount({ userId, bannedBy: req.user.id, reason, expiresAt });
 
   logActivity(req.user.id, 'BAN_USER', `user:${userId}`, { reason, expiresAt }, req);
 
-  return successResponse(res, {}, 'User banned');
+  return successResponse(res, { ban: formatBan(ban) }, 'User banned');
 });
 
 // ── POST /api/admin/users/:userId/unban ──────────────────
 const unbanUser = asyncHandler(async (req, res) => {
   const { userId } = req.params;
+  const { reason } = req.body;
 
   const result = await query(
     `UPDATE users SET is_banned = false, ban_reason = NULL WHERE id = $1 RETURNING id`,
@@ -99,11 +118,26 @@ const unbanUser = asyncHandler(async (req, res) => {
   );
   if (!result.rows[0]) throw new AppError('User not found.', 404);
 
-  logActivity(req.user.id, 'UNBAN_USER', `user:${userId}`, {}, req);
+  // Close the active ban so it can't be picked up again later
+  await liftActiveBans(userId, req.user.id, reason || null);
+
+  logActivity(req.user.id, 'UNBAN_USER', `user:${userId}`, { reason }, req);
 
   return successResponse(res, {}, 'User unbanned');
 });
 
+// ── GET /api/admin/users/:userId/bans ────────────────────
+// Every ban ever issued, with issuer, expiry, lift info and appeal status
+const getUserBans = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const userResult = await query(`SELECT id FROM users WHERE id = $1`, [userId]);
+  if (!userResult.rows[0]) throw new AppError('User not found.', 404);
+
+  const bans = await getBanHistory(userId);
+  return successResponse(res, { bans });
+});
+
 // ── PATCH /api/admin/users/:userId/role ──────────────────
 const changeRole = asyncHandler(async (req, res) => {
   const { role } = req.body;
@@ -118,6 +152,9 @@ const changeRole = asyncHandler(async (req, res) => {
   );
   if (!result.rows[0]) throw new AppError('User not found.', 404);
 
+  // Tokens issued under the old role stop working right away
+  await bumpTokenVersion(userId);
+
   logActivity(req.user.id, 'CHANGE_ROLE', `user:${userId}`, { role }, req);
 
   return successResponse(res, { user: result.rows[0] }, 'Role updated');
@@ -125,9 +162,17 @@ const changeRole = asyncHandler(async (req, res) => {
 
 // ── GET /api/admin/stats ─────────────────────────────────
 const getDashboardStats = asyncHandler(async (req, res) => {
-  const [usersResult, threadsResult, activityResult] = await Promise.all([
+  const [usersResult, threadsResult, reportsResult, activityResult] = await Promise.all([
     query(`SELECT COUNT(*)::INTEGER AS total, COUNT(*) FILTER (WHERE is_banned) AS banned FROM users`),
     query(`SELECT COUNT(*)::INTEGER AS total, SUM(reply_count)::INTEGER AS total_replies FROM threads`),
+    query(`
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'open')::INTEGER      AS open,
+        COUNT(*) FILTER (WHERE status = 'resolved')::INTEGER  AS resolved,
+        COUNT(*) FILTER (WHERE status = 'dismissed')::INTEGER AS dismissed,
+        COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '24 hours')::INTEGER AS last_24h
+      FROM reports
+    `),
     ActivityLog.aggregate([
       { $match: { createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } } },
       { $group: { _id: '$action', count: { $sum: 1 } } },
@@ -138,6 +183,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     stats: {
       users:   usersResult.rows[0],
       threads: threadsResult.rows[0],
+      reports: reportsResult.rows[0],
       activityLast24h: activityResult,
     },
   });
@@ -145,16 +191,40 @@ const getDashboardStats = asyncHandler(async (req, res) => {
 
 // ── GET /api/admin/activity ──────────────────────────────
 const getActivityLog = asyncHandler(async (req, res) => {
-  const { page, limit, offset } = getPagination(req.query);
   const { userId, action } = req.query;
+  // Cursor = [createdAt (ISO), _id]
+  const cursor = getCursorPagination(req.query, 'newest', 2);
 
   const filter = {};
   if (userId) filter.userId = userId;
   if (action) filter.action = action;
 
+  if (cursor) {
+    if (cursor.after) {
+      const [createdAt, id] = cursor.after;
+      if (!mongoose.isValidObjectId(id) || Number.isNaN(Date.parse(createdAt))) {
+        throw new AppError('Invalid cursor.', 400);
+      }
+      filter.$or = [
+        { createdAt: { $lt: new Date(createdAt) } },
+        { createdAt: new Date(createdAt), _id: { $lt: id } },
+      ];
+    }
+
+    const logs = await ActivityLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(cursor.limit + 1);
+
+    return successResponse(res, cursorResponse(
+      logs, cursor.limit, 'newest',
+      log => [log.createdAt.toISOString(), String(log._id)]
+    ));
+  }
+
+  const { page, limit, offset } = getPagination(req.query);
   const [logs, total] = await Promise.all([
     ActivityLog.find(filter)
-      .sort({ createdAt: -1 })
+      .sort({ createdAt: -1, _id: -1 })
       .skip(offset)
       .limit(limit),
     ActivityLog.countDocuments(filter),
@@ -165,6 +235,6 @@ const getActivityLog = asyncHandler(async (req, res) => {
 
 module.exports = {
   getUsers, getUserById,
-  banUser, unbanUser, changeRole,
+  banUser, unbanUser, getUserBans, changeRole,
   getDashboardStats, getActivityLog,
 };
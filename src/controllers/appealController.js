@@ -0,0 +1,131 @@
+// src/controllers/appealController.js
+// ─────────────────────────────────────────────────────────
+// Ban appeals
+// • Banned users file ONE appeal per ban using the limited
+//   appeal token returned by login (authenticateBanned)
+// • Admins work through the queue and accept or reject
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const {
+  logActivity, getPagination, paginatedResponse, successResponse,
+} = require('../utils/helpers');
+const { liftActiveBans, resolveBan } = require('../services/banService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+const APPEAL_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// ── POST /api/appeals ────────────────────────────────────
+// Banned user appeals their currently active ban
+const fileAppeal = asyncHandler(async (req, res) => {
+  const ban = req.activeBan;
+  if (!ban) throw new AppError('You have no active ban to appeal.', 400);
+  if (!ban.id) throw new AppError('This ban was set manually and cannot be appealed. Contact support.', 400);
+
+  // UNIQUE(ban_id) enforces one appeal per ban (409 on repeat)
+  const result = await query(
+    `INSERT INTO ban_appeals (ban_id, user_id, message)
+     VALUES ($1, $2, $3)
+     RETURNING id, ban_id, message, status, created_at`,
+    [ban.id, req.user.id, req.body.message]
+  );
+  const appeal = result.rows[0];
+
+  logActivity(req.user.id, 'FILE_APPEAL', `appeal:${appeal.id}`, { banId: ban.id }, req);
+
+  return successResponse(res, { appeal }, 'Appeal submitted', 201);
+});
+
+// ── GET /api/appeals/mine ────────────────────────────────
+const getMyAppeals = asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT a.id, a.ban_id, a.message, a.status, a.review_note, a.reviewed_at, a.created_at,
+            b.reason AS ban_reason, b.expires_at AS ban_expires_at
+     FROM ban_appeals a
+     JOIN user_bans b ON b.id = a.ban_id
+     WHERE a.user_id = $1
+     ORDER BY a.created_at DESC`,
+    [req.user.id]
+  );
+
+  const ban = req.activeBan;
+  return successResponse(res, {
+    activeBan: ban && { id: ban.id, reason: ban.reason, expiresAt: ban.expires_at },
+    appeals: result.rows,
+  });
+});
+
+// ── GET /api/admin/appeals ───────────────────────────────
+// Admin queue — pending first by default, oldest first
+const getAppeals = asyncHandler(async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  const status = req.query.status || 'pending';
+  if (!APPEAL_STATUSES.includes(status)) throw new AppError('Invalid appeal status.', 400);
+
+  const [appealsResult, countResult] = await Promise.all([
+    query(
+      `SELECT a.id, a.message, a.status, a.review_note, a.reviewed_at, a.created_at,
+              a.user_id, u.username,
+              a.ban_id, b.reason AS ban_reason, b.expires_at AS ban_expires_at,
+              b.banned_by, issuer.username AS banned_by_username,
+              a.reviewed_by, reviewer.username AS reviewed_by_username
+       FROM ban_appeals a
+       JOIN users u          ON u.id = a.user_id
+       JOIN user_bans b      ON b.id = a.ban_id
+       LEFT JOIN users issuer   ON issuer.id = b.banned_by
+       LEFT JOIN users reviewer ON reviewer.id = a.reviewed_by
+       WHERE a.status = $1
+       ORDER BY a.created_at ASC
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    ),
+    query(`SELECT COUNT(*)::INTEGER AS total FROM ban_appeals WHERE status = $1`, [status]),
+  ]);
+
+  return successResponse(res, paginatedResponse(
+    appealsResult.rows,
+    countResult.rows[0].total,
+    page, limit
+  ));
+});
+
+// ── POST /api/admin/appeals/:appealId/decision ───────────
+// accept → lifts the appealed ban; reject → ban stays
+const decideAppeal = asyncHandler(async (req, res) => {
+  const { decision, note } = req.body;
+  const { appealId } = req.params;
+  const status = decision === 'accept' ? 'accepted' : 'rejected';
+
+  // Only pending appeals can be decided — guards double review
+  const result = await query(
+    `UPDATE ban_appeals
+     SET status = $1, review_note = $2, reviewed_by = $3, reviewed_at = NOW()
+     WHERE id = $4 AND status = 'pending'
+     RETURNING id, ban_id, user_id, status, review_note, reviewed_at`,
+    [status, note || null, req.user.id, appealId]
+  );
+
+  const appeal = result.rows[0];
+  if (!appeal) {
+    const exists = await query(`SELECT id FROM ban_appeals WHERE id = $1`, [appealId]);
+    if (!exists.rows[0]) throw new AppError('Appeal not found.', 404);
+    throw new AppError('Appeal has already been decided.', 409);
+  }
+
+  if (status === 'accepted') {
+    await liftActiveBans(appeal.user_id, req.user.id, `Appeal accepted${note ? `: ${note}` : ''}`, appeal.ban_id);
+    // Clears users.is_banned unless another ban is still active
+    await resolveBan(appeal.user_id);
+  }
+
+  logActivity(
+    req.user.id,
+    status === 'accepted' ? 'ACCEPT_APPEAL' : 'REJECT_APPEAL',
+    `appeal:${appeal.id}`,
+    { userId: appeal.user_id, banId: appeal.ban_id, note },
+    req
+  );
+
+  return successResponse(res, { appeal }, `Appeal ${status}`);
+});
+
+module.exports = { fileAppeal, getMyAppeals, getAppeals, decideAppeal };
@@ -0,0 +1,144 @@
+// src/controllers/attachmentController.js
+// ─────────────────────────────────────────────────────────
+// File attachments on opening posts and comments
+// Upload: the author (who must still be able to post there)
+//         or a moderator of the thread's category
+// Download: anyone who can read the thread
+// Delete: the uploader, the author or a moderator
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const logger = require('../config/logger');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { logActivity, successResponse } = require('../utils/helpers');
+const attachmentService = require('../services/attachmentService');
+const {
+  assertCanReadThread, assertCanPost, canModerateThread,
+} = require('../services/accessService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+const assertCanAttach = async (thread, authorId, user) => {
+  if (await canModerateThread(thread.id, user)) return;
+  if (authorId !== user.id) throw new AppError('Permission denied.', 403);
+  if (thread.is_locked) throw new AppError('Thread is locked.', 403);
+  await assertCanPost(thread.category_id, user);
+};
+
+const findThread = async (threadId) => {
+  const result = await query(`SELECT id, category_id, is_locked FROM threads WHERE id = $1`, [threadId]);
+  if (!result.rows[0]) throw new AppError('Thread not found.', 404);
+  return result.rows[0];
+};
+
+// ── Upload guards ────────────────────────────────────────
+// Mounted BEFORE multer: files are buffered in memory, so a
+// request is only read once we know the user may attach there.
+// They leave the target on req.attachTo.
+
+const authorizeThreadUpload = asyncHandler(async (req, res, next) => {
+  const { threadId } = req.params;
+
+  const thread = await findThread(threadId);
+  const post = await Post.findOne({ threadId }, 'originalPost.authorId').lean();
+  if (!post) throw new AppError('Thread content not found.', 404);
+
+  await assertCanAttach(thread, post.originalPost.authorId, req.user);
+
+  req.attachTo = { docType: 'post', docId: post._id, resource: `thread:${threadId}` };
+  next();
+});
+
+const authorizeCommentUpload = asyncHandler(async (req, res, next) => {
+  const { threadId, commentId } = req.params;
+
+  const thread = await findThread(threadId);
+  const comment = await Comment.findOne({ _id: commentId, threadId, isDeleted: false }, 'authorId').lean();
+  if (!comment) throw new AppError('Comment not found.', 404);
+
+  await assertCanAttach(thread, comment.authorId, req.user);
+
+  req.attachTo = { docType: 'comment', docId: comment._id, resource: `thread:${threadId}:comment:${commentId}` };
+  next();
+});
+
+// ── POST /api/threads/:threadId/attachments ──────────────
+// ── POST /api/threads/:threadId/comments/:commentId/attachments
+// multipart/form-data, field `files` (after an upload guard)
+const uploadAttachments = asyncHandler(async (req, res) => {
+  const { docType, docId, resource } = req.attachTo;
+
+  const attachments = await attachmentService.attachFiles({
+    docType,
+    docId,
+    files: req.files,
+    user:  req.user,
+  });
+
+  logActivity(req.user.id, 'UPLOAD_ATTACHMENT', resource, { count: attachments.length }, req);
+
+  return successResponse(res, { attachments }, 'Files attached', 201);
+});
+
+// ── GET /api/attachments/usage ───────────────────────────
+// Your storage use, quota and upload limits
+const getAttachmentUsage = asyncHandler(async (req, res) => {
+  const usage = await attachmentService.getUsage(req.user);
+  return successResponse(res, usage);
+});
+
+// ── GET /api/attachments/:id ─────────────────────────────
+// Streams the file. Images are shown inline, everything else
+// is a download.
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const attachment = await attachmentService.getAttachment(req.params.id);
+  if (!attachment) throw new AppError('Attachment not found.', 404);
+
+  const owner = await attachmentService.findDoc(attachment.doc_id);
+  if (!owner || owner.doc.isDeleted) throw new AppError('Attachment not found.', 404);
+  await assertCanReadThread(owner.doc.threadId, req.user);
+
+  const stream = await attachmentService.openAttachment(attachment);
+  if (!stream) throw new AppError('Attachment not found.', 404);
+
+  const disposition = attachment.mimetype.startsWith('image/') ? 'inline' : 'attachment';
+  const asciiName = attachment.filename.replace(/[^\x20-\x7e]/g, '_');
+  res.set({
+    'Content-Type':        attachment.mimetype,
+    'Content-Length':      attachment.size,
+    'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+    'Cache-Control':       'private, max-age=3600',
+    // Let a frontend on another origin embed images
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+  });
+
+  stream.on('error', (err) => {
+    logger.error(`Attachment ${attachment.id} stream failed: ${err.message}`);
+    res.destroy();
+  });
+  stream.pipe(res);
+});
+
+// ── DELETE /api/attachments/:id ──────────────────────────
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const attachment = await attachmentService.getAttachment(req.params.id);
+  if (!attachment) throw new AppError('Attachment not found.', 404);
+
+  const owner = await attachmentService.findDoc(attachment.doc_id);
+  if (!owner) throw new AppError('Attachment not found.', 404);
+
+  const isOwner = attachment.uploader_id === req.user.id || owner.doc.authorId === req.user.id;
+  if (!isOwner && !(await canModerateThread(owner.doc.threadId, req.user))) {
+    throw new AppError('Permission denied.', 403);
+  }
+
+  await attachmentService.removeAttachment(attachment, owner.docType);
+
+  logActivity(req.user.id, 'DELETE_ATTACHMENT', `attachment:${attachment.id}`, { docId: attachment.doc_id }, req);
+
+  return successResponse(res, {}, 'Attachment deleted');
+});
+
+module.exports = {
+  authorizeThreadUpload, authorizeCommentUpload, uploadAttachments,
+  getAttachmentUsage, downloadAttachment, deleteAttachment,
+};
@@ -1,15 +1,65 @@
 // src/controllers/authController.js
 // ─────────────────────────────────────────────────────────
-// Handles: register, login, logout, me
+// Handles: register, login, refresh, logout, me,
+//          password change + forgot/reset flow,
+//          email verification
 // ─────────────────────────────────────────────────────────
 const { query } = require('../config/postgres');
+const logger = require('../config/logger');
 const {
   hashPassword, comparePassword,
-  generateAccessToken, logActivity,
+  generateAppealToken, generateRandomToken, hashToken,
+  logActivity,
   successResponse, errorResponse,
 } = require('../utils/helpers');
+const {
+  issueTokens, rotateRefreshToken,
+  revokeRefreshToken, revokeAllSessions,
+} = require('../services/tokenService');
+const { sendMail, appUrl } = require('../services/mailer');
+const { resolveBan } = require('../services/banService');
+const { avatarUrl } = require('../services/avatarService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 
+const VERIFY_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+// avatar_url is always set — the identicon when nothing was uploaded
+const withAvatar = ({ avatar_version, ...user }) => ({
+  ...user,
+  avatar_url: avatarUrl({ id: user.id, avatar_version }),
+});
+
+/**
+ * Create a fresh verification token (voiding older ones) and email it
+ */
+const sendVerificationEmail = async (user) => {
+  await query(
+    `UPDATE email_verification_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [user.id]
+  );
+
+  const token = generateRandomToken(32);
+  await query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+    [user.id, hashToken(token), VERIFY_TOKEN_TTL_HOURS]
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Confirm your email address to start posting:',
+      appUrl('/verify-email', { token }),
+      '',
+      `This link expires in ${VERIFY_TOKEN_TTL_HOURS} hours.`,
+    ].join('\n'),
+  });
+};
+
 // ── POST /api/auth/register ──────────────────────────────
 const register = asyncHandler(async (req, res) => {
   const { username, email, password, bio } = req.body;
@@ -29,16 +79,26 @@ const register = asyncHandler(async (req, res) => {
   const result = await query(
     `INSERT INTO users (username, email, password, bio)
      VALUES ($1, $2, $3, $4)
-     RETURNING id, username, email, role, bio, created_at`,
+     RETURNING id, username, email, role, bio, email_verified, token_version, created_at`,
     [username, email, hashedPassword, bio || null]
   );
 
   const user = result.rows[0];
-  const token = generateAccessToken(user);
+  const { token, refreshToken } = await issueTokens(user);
+  delete user.token_version;
+
+  // The account exists either way — a mail failure must not turn this
+  // into a 500 (a retry would then hit 409). /resend-verification
+  // sends another link.
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    logger.error(`Verification email for user ${user.id} failed: ${err.message}`);
+  }
 
   logActivity(user.id, 'REGISTER', null, {}, req);
 
-  return successResponse(res, { token, user }, 'Registration successful', 201);
+  return successResponse(res, { token, refreshToken, user }, 'Registration successful', 201);
 });
 
 // ── POST /api/auth/login ─────────────────────────────────
@@ -47,7 +107,7 @@ const login = asyncHandler(async (req, res) => {
 
   // Fetch user + check active
   const result = await query(
-    `SELECT id, username, email, password, role, is_active, is_banned, bio
+    `SELECT id, username, email, password, role, token_version, email_verified, is_active, is_banned, bio
      FROM users WHERE email = $1`,
     [email]
   );
@@ -62,34 +122,75 @@ const login = asyncHandler(async (req, res) => {
     throw new AppError('Account deactivated. Contact support.', 401);
   }
 
-  if (user.is_banned) {
-    throw new AppError('Account banned. Contact support.', 403);
+  // Timed bans that have run out are lifted here
+  const activeBan = user.is_banned ? await resolveBan(user.id) : null;
+  if (activeBan) {
+    // Only someone who knows the password gets the limited appeal token
+    const passwordMatch = await comparePassword(password, user.password);
+    if (!passwordMatch) throw new AppError('Account banned. Contact support.', 403, 'ACCOUNT_BANNED');
+
+    return res.status(403).json({
+      success: false,
+      code: 'ACCOUNT_BANNED',
+      message: 'Account banned. You may appeal this ban.',
+      ban: {
+        reason:    activeBan.reason,
+        expiresAt: activeBan.expires_at,
+        createdAt: activeBan.created_at,
+      },
+      appealToken: generateAppealToken(user),
+    });
   }
+  user.is_banned = false;
 
   const passwordMatch = await comparePassword(password, user.password);
   if (!passwordMatch) {
     throw new AppError('Invalid email or password.', 401);
   }
 
-  const token = generateAccessToken(user);
+  const { token, refreshToken } = await issueTokens(user);
 
-  // Remove password from response
+  // Remove password + session internals from response
   delete user.password;
+  delete user.token_version;
 
   logActivity(user.id, 'LOGIN', null, { email }, req);
 
-  return successResponse(res, { token, user }, 'Login successful');
+  return successResponse(res, { token, refreshToken, user }, 'Login successful');
+});
+
+// ── POST /api/auth/refresh ───────────────────────────────
+// Single-use: the presented refresh token is replaced by a new one
+const refresh = asyncHandler(async (req, res) => {
+  const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken);
+  return successResponse(res, { token, refreshToken }, 'Token refreshed');
+});
+
+// ── POST /api/auth/logout ────────────────────────────────
+// Revokes only the given refresh token (this device)
+const logout = asyncHandler(async (req, res) => {
+  const userId = await revokeRefreshToken(req.body.refreshToken);
+  if (userId) logActivity(userId, 'LOGOUT', null, {}, req);
+  return successResponse(res, {}, 'Logged out');
+});
+
+// ── POST /api/auth/logout-all ────────────────────────────
+// Revokes every token the user holds (all devices)
+const logoutAll = asyncHandler(async (req, res) => {
+  await revokeAllSessions(req.user.id);
+  logActivity(req.user.id, 'LOGOUT', null, { allSessions: true }, req);
+  return successResponse(res, {}, 'Logged out of all sessions');
 });
 
 // ── GET /api/auth/me ─────────────────────────────────────
 const getMe = asyncHandler(async (req, res) => {
   // req.user already set by authenticate middleware
   const result = await query(
-    `SELECT id, username, email, role, bio, avatar_url, is_active, created_at, updated_at
+    `SELECT id, username, email, role, bio, avatar_version, email_verified, is_active, created_at, updated_at
      FROM users WHERE id = $1`,
     [req.user.id]
   );
-  return successResponse(res, { user: result.rows[0] }, 'Profile fetched');
+  return successResponse(res, { user: withAvatar(result.rows[0]) }, 'Profile fetched');
 });
 
 // ── PATCH /api/auth/profile ──────────────────────────────
@@ -113,13 +214,159 @@ const updateProfile = asyncHandler(async (req, res) => {
      SET bio = COALESCE($1, bio),
          username = COALESCE($2, username)
      WHERE id = $3
-     RETURNING id, username, email, role, bio, avatar_url, updated_at`,
+     RETURNING id, username, email, role, bio, avatar_version, updated_at`,
     [bio, username, userId]
   );
 
   logActivity(userId, 'UPDATE_PROFILE', `user:${userId}`, {}, req);
 
-  return successResponse(res, { user: result.rows[0] }, 'Profile updated');
+  return successResponse(res, { user: withAvatar(result.rows[0]) }, 'Profile updated');
+});
+
+// ── PATCH /api/auth/password ─────────────────────────────
+// Requires the current password; signs out every other session
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const userId = req.user.id;
+
+  const result = await query(`SELECT password FROM users WHERE id = $1`, [userId]);
+  const passwordMatch = await comparePassword(currentPassword, result.rows[0].password);
+  if (!passwordMatch) throw new AppError('Current password is incorrect.', 401);
+
+  await query(
+    `UPDATE users SET password = $1 WHERE id = $2`,
+    [await hashPassword(newPassword), userId]
+  );
+  await revokeAllSessions(userId);
+
+  // Hand this client a fresh pair signed with the new token version
+  const userResult = await query(
+    `SELECT id, username, role, token_version FROM users WHERE id = $1`,
+    [userId]
+  );
+  const { token, refreshToken } = await issueTokens(userResult.rows[0]);
+
+  logActivity(userId, 'CHANGE_PASSWORD', `user:${userId}`, {}, req);
+
+  return successResponse(res, { token, refreshToken }, 'Password changed');
+});
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+/**
+ * Create a fresh reset token (voiding older ones) and email it
+ */
+const sendPasswordReset = async (user) => {
+  // Only the newest link works
+  await query(
+    `UPDATE password_reset_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [user.id]
+  );
+
+  const token = generateRandomToken(32);
+  await query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+    [user.id, hashToken(token), RESET_TOKEN_TTL_MINUTES]
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account.',
+      `Use this link within ${RESET_TOKEN_TTL_MINUTES} minutes:`,
+      appUrl('/reset-password', { token }),
+      '',
+      "If it wasn't you, ignore this email — your password won't change.",
+    ].join('\n'),
+  });
+};
+
+// ── POST /api/auth/forgot-password ───────────────────────
+// Always answers the same way so emails can't be enumerated
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const result = await query(
+    `SELECT id, username, email FROM users WHERE email = $1 AND is_active = true`,
+    [email]
+  );
+  const user = result.rows[0];
+
+  // Not awaited: response time and mail errors must not reveal
+  // whether the email is registered
+  if (user) {
+    sendPasswordReset(user)
+      .catch(err => logger.error(`Password reset email for user ${user.id} failed: ${err.message}`));
+    logActivity(user.id, 'REQUEST_PASSWORD_RESET', `user:${user.id}`, {}, req);
+  }
+
+  return successResponse(res, {}, 'If that email is registered, a reset link has been sent');
+});
+
+// ── POST /api/auth/reset-password ────────────────────────
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  // Consume the token atomically — a second use finds nothing
+  const result = await query(
+    `UPDATE password_reset_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token)]
+  );
+  if (!result.rows[0]) throw new AppError('Reset link is invalid or has expired.', 400);
+
+  const { user_id: userId } = result.rows[0];
+
+  await query(
+    `UPDATE users SET password = $1 WHERE id = $2`,
+    [await hashPassword(password), userId]
+  );
+  await revokeAllSessions(userId);
+
+  logActivity(userId, 'RESET_PASSWORD', `user:${userId}`, {}, req);
+
+  return successResponse(res, {}, 'Password reset. Please log in with your new password');
+});
+
+// ── POST /api/auth/verify-email ──────────────────────────
+const verifyEmail = asyncHandler(async (req, res) => {
+  const result = await query(
+    `UPDATE email_verification_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(req.body.token)]
+  );
+  if (!result.rows[0]) throw new AppError('Verification link is invalid or has expired.', 400);
+
+  const { user_id: userId } = result.rows[0];
+  await query(
+    `UPDATE users SET email_verified = true, email_verified_at = NOW() WHERE id = $1`,
+    [userId]
+  );
+
+  logActivity(userId, 'VERIFY_EMAIL', `user:${userId}`, {}, req);
+
+  return successResponse(res, {}, 'Email verified');
+});
+
+// ── POST /api/auth/resend-verification ───────────────────
+const resendVerification = asyncHandler(async (req, res) => {
+  if (req.user.email_verified) throw new AppError('Email is already verified.', 400);
+
+  await sendVerificationEmail(req.user);
+
+  return successResponse(res, {}, 'Verification email sent');
 });
 
-module.exports = { register, login, getMe, updateProfile };
+module.exports = {
+  register, login, refresh, logout, logoutAll,
+  getMe, updateProfile,
+  changePassword, forgotPassword, resetPassword,
+  verifyEmail, resendVerification,
+};
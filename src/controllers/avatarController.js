@@ -0,0 +1,71 @@
+// src/controllers/avatarController.js
+// ─────────────────────────────────────────────────────────
+// Profile pictures: upload/remove your own (PUT/DELETE
+// /auth/avatar) and the public, cacheable image routes
+// ─────────────────────────────────────────────────────────
+const logger = require('../config/logger');
+const { logActivity, successResponse } = require('../utils/helpers');
+const avatarService = require('../services/avatarService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// Every URL serves fixed content (new upload → new version in the
+// URL), so browsers and CDNs may keep it forever
+const IMMUTABLE = {
+  'Cache-Control': 'public, max-age=31536000, immutable',
+  // Let a frontend on another origin embed them
+  'Cross-Origin-Resource-Policy': 'cross-origin',
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const VERSION_RE = /^[0-9a-f]{16}$/;
+
+// ── PUT /api/auth/avatar ─────────────────────────────────
+// multipart/form-data, field `avatar`
+const uploadAvatar = asyncHandler(async (req, res) => {
+  const avatarUrl = await avatarService.setAvatar(req.user.id, req.file?.buffer);
+
+  logActivity(req.user.id, 'UPDATE_AVATAR', `user:${req.user.id}`, {}, req);
+
+  return successResponse(res, { avatarUrl, sizes: avatarService.SIZES }, 'Avatar updated');
+});
+
+// ── DELETE /api/auth/avatar ──────────────────────────────
+// Back to the generated identicon
+const deleteAvatar = asyncHandler(async (req, res) => {
+  const avatarUrl = await avatarService.removeAvatar(req.user.id);
+
+  logActivity(req.user.id, 'REMOVE_AVATAR', `user:${req.user.id}`, {}, req);
+
+  return successResponse(res, { avatarUrl }, 'Avatar removed');
+});
+
+// ── GET /api/avatars/:userId/identicon ───────────────────
+// Query: size (snapped to the nearest generated size)
+const getIdenticon = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  if (!UUID_RE.test(userId)) throw new AppError('Avatar not found.', 404);
+
+  const image = await avatarService.renderIdenticon(userId, avatarService.pickSize(req.query.size));
+
+  res.set({ 'Content-Type': 'image/webp', ...IMMUTABLE });
+  return res.send(image);
+});
+
+// ── GET /api/avatars/:userId/:version ────────────────────
+// Query: size (snapped to the nearest generated size)
+const getAvatar = asyncHandler(async (req, res) => {
+  const { userId, version } = req.params;
+  if (!UUID_RE.test(userId) || !VERSION_RE.test(version)) throw new AppError('Avatar not found.', 404);
+
+  const stream = await avatarService.openAvatar(userId, version, avatarService.pickSize(req.query.size));
+  if (!stream) throw new AppError('Avatar not found.', 404);
+
+  res.set({ 'Content-Type': 'image/webp', ...IMMUTABLE });
+  stream.on('error', (err) => {
+    logger.error(`Avatar ${userId}/${version} stream failed: ${err.message}`);
+    res.destroy();
+  });
+  stream.pipe(res);
+});
+
+module.exports = { uploadAvatar, deleteAvatar, getIdenticon, getAvatar };
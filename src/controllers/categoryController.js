@@ -1,81 +1,285 @@
 // src/controllers/categoryController.js
 // ─────────────────────────────────────────────────────────
 // CRUD for discussion categories (PostgreSQL)
+// Categories nest via parent_id — see services/categoryService.js
+// Categories the viewer can't read are never listed and 404;
+// archived ones stay readable but are read-only
 // ─────────────────────────────────────────────────────────
-const { query } = require('../config/postgres');
+const { query, getClient } = require('../config/postgres');
 const { slugify, logActivity, successResponse } = require('../utils/helpers');
+const {
+  CATEGORY_FIELDS, inSubtreeSql,
+  getCategoryList, buildTree, getBreadcrumbs, assertValidParent, removeCategory,
+} = require('../services/categoryService');
+const { passesSql, readableSql, archivedSql } = require('../services/accessService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 
 // ── GET /api/categories ──────────────────────────────────
+// Flat list in display order (each row has parent_id + depth);
+// ?tree=true nests subcategories under `children`.
+// thread_count = own threads, total_thread_count = incl. subcategories
 const getCategories = asyncHandler(async (req, res) => {
-  // Get categories + thread count in one query using LEFT JOIN + COUNT
-  const result = await query(`
-    SELECT
-      c.id,
-      c.name,
-      c.slug,
-      c.description,
-      c.status,
-      c.created_at,
-      COUNT(t.id)::INTEGER AS thread_count
-    FROM categories c
-    LEFT JOIN threads t ON t.category_id = c.id
-    WHERE c.status = 'active'
-    GROUP BY c.id
-    ORDER BY c.name ASC
-  `);
-  return successResponse(res, { categories: result.rows });
+  const categories = await getCategoryList(req.user?.id || null);
+  return successResponse(res, {
+    categories: req.query.tree === 'true' ? buildTree(categories) : categories,
+  });
 });
 
+// ── GET /api/admin/categories ────────────────────────────
+// Admin only — same as above, archived categories included
+const getAllCategories = asyncHandler(async (req, res) => {
+  const categories = await getCategoryList(req.user.id, { includeArchived: true });
+  return successResponse(res, {
+    categories: req.query.tree === 'true' ? buildTree(categories) : categories,
+  });
+});
+
+// Threads in subcategories the viewer can't read aren't counted
+const totalThreadCountSql = (userParam) => `(
+  SELECT COUNT(*) FROM threads t
+  WHERE ${inSubtreeSql('t.category_id', 'c.id')} AND ${readableSql('t.category_id', userParam)}
+)::INTEGER AS total_thread_count`;
+
 // ── GET /api/categories/:slug ────────────────────────────
+// Includes breadcrumbs (root → this), direct subcategories
+// (archived ones too, flagged), is_archived (itself or a
+// parent) and can_post for the viewer
 const getCategory = asyncHandler(async (req, res) => {
+  const userId = req.user?.id || null;
   const result = await query(
-    `SELECT id, name, slug, description, status, created_at
-     FROM categories WHERE slug = $1`,
-    [req.params.slug]
+    `SELECT ${CATEGORY_FIELDS},
+            (SELECT COUNT(*) FROM threads t WHERE t.category_id = c.id)::INTEGER AS thread_count,
+            ${totalThreadCountSql('$2')},
+            ${archivedSql('c.id')} AS is_archived,
+            ($2::UUID IS NOT NULL AND NOT ${archivedSql('c.id')}
+              AND ${passesSql('write', 'c', '$2')}) AS can_post
+     FROM categories c
+     WHERE c.slug = $1 AND ${readableSql('c.id', '$2')}`,
+    [req.params.slug, userId]
   );
-  if (!result.rows[0]) throw new AppError('Category not found.', 404);
-  return successResponse(res, { category: result.rows[0] });
+  const category = result.rows[0];
+  if (!category) throw new AppError('Category not found.', 404);
+
+  const [breadcrumbs, childrenResult] = await Promise.all([
+    getBreadcrumbs(category.id),
+    query(
+      `SELECT ${CATEGORY_FIELDS}, ${totalThreadCountSql('$2')},
+              ${archivedSql('c.id')} AS is_archived
+       FROM categories c
+       WHERE c.parent_id = $1 AND ${passesSql('read', 'c', '$2')}
+       ORDER BY c.position, c.name`,
+      [category.id, userId]
+    ),
+  ]);
+
+  return successResponse(res, {
+    category: { ...category, breadcrumbs, children: childrenResult.rows },
+  });
 });
 
 // ── POST /api/categories ─────────────────────────────────
 // Admin only
 const createCategory = asyncHandler(async (req, res) => {
-  const { name, description } = req.body;
+  const {
+    name, description, parentId, position, icon, color,
+    readAccess = 'everyone', writeAccess = 'members',
+  } = req.body;
   const slug = slugify(name);
 
+  await assertValidParent(null, parentId);
+
   const result = await query(
-    `INSERT INTO categories (name, slug, description, created_by)
-     VALUES ($1, $2, $3, $4)
-     RETURNING id, name, slug, description, status, created_at`,
-    [name, slug, description || null, req.user.id]
+    `INSERT INTO categories
+       (name, slug, description, parent_id, position, icon, color, read_access, write_access, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id, name, slug, description, status, parent_id, position, icon, color,
+               read_access, write_access, created_at`,
+    [name, slug, description || null, parentId || null, position || 0, icon || null, color || null,
+      readAccess, writeAccess, req.user.id]
   );
 
-  logActivity(req.user.id, 'CREATE_CATEGORY', `category:${result.rows[0].id}`, { name }, req);
+  logActivity(req.user.id, 'CREATE_CATEGORY', `category:${result.rows[0].id}`, { name, parentId }, req);
 
   return successResponse(res, { category: result.rows[0] }, 'Category created', 201);
 });
 
+// Body field → column for updateCategory (only fields sent are set)
+const UPDATABLE_FIELDS = {
+  name:        'name',
+  description: 'description',
+  status:      'status',
+  parentId:    'parent_id',
+  position:    'position',
+  icon:        'icon',
+  color:       'color',
+  readAccess:  'read_access',
+  writeAccess: 'write_access',
+};
+
 // ── PATCH /api/categories/:id ────────────────────────────
-// Admin only
+// Admin only — parentId: null moves the category to the top level;
+// description/icon/color: null clears them. Renaming regenerates
+// the slug. status 'archived' makes it (and everything below) read-only.
 const updateCategory = asyncHandler(async (req, res) => {
-  const { name, description, status } = req.body;
+  const { id } = req.params;
+
+  if (req.body.parentId) await assertValidParent(id, req.body.parentId);
+
+  const sets = [];
+  const params = [];
+  for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+    if (req.body[field] === undefined) continue;
+    params.push(req.body[field]);
+    sets.push(`${column} = $${params.length}`);
+  }
+  if (req.body.name) {
+    params.push(slugify(req.body.name));
+    sets.push(`slug = $${params.length}`);
+  }
+  params.push(id);
 
   const result = await query(
-    `UPDATE categories
-     SET name        = COALESCE($1, name),
-         description = COALESCE($2, description),
-         status      = COALESCE($3, status)
-     WHERE id = $4
-     RETURNING id, name, slug, description, status`,
-    [name, description, status, req.params.id]
+    `UPDATE categories SET ${sets.join(', ')}
+     WHERE id = $${params.length}
+     RETURNING id, name, slug, description, status, parent_id, position, icon, color,
+               read_access, write_access`,
+    params
   );
 
   if (!result.rows[0]) throw new AppError('Category not found.', 404);
 
-  logActivity(req.user.id, 'UPDATE_CATEGORY', `category:${req.params.id}`, req.body, req);
+  logActivity(req.user.id, 'UPDATE_CATEGORY', `category:${id}`, req.body, req);
 
   return successResponse(res, { category: result.rows[0] }, 'Category updated');
 });
 
-module.exports = { getCategories, getCategory, createCategory, updateCategory };
+// ── DELETE /api/categories/:id ───────────────────────────
+// Admin only. Body: { moveThreadsTo } or { deleteThreads: true }
+// (needed only if the category still has threads)
+const deleteCategory = asyncHandler(async (req, res) => {
+  const { moveThreadsTo, deleteThreads } = req.body;
+  const { category, threadsMoved, threadsDeleted } = await removeCategory(req.params.id, {
+    moveThreadsTo, deleteThreads,
+  });
+
+  logActivity(req.user.id, 'DELETE_CATEGORY', `category:${category.id}`, {
+    name: category.name, moveThreadsTo, threadsMoved, threadsDeleted,
+  }, req);
+
+  return successResponse(res, { threadsMoved, threadsDeleted }, 'Category deleted');
+});
+
+// ── GET /api/categories/:id/groups ───────────────────────
+// Admin only — groups granted on a category
+const getCategoryGroups = asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT g.id, g.name, cg.permission
+     FROM category_groups cg
+     JOIN user_groups g ON g.id = cg.group_id
+     WHERE cg.category_id = $1
+     ORDER BY g.name`,
+    [req.params.id]
+  );
+  return successResponse(res, { groups: result.rows });
+});
+
+// ── PUT /api/categories/:id/groups ───────────────────────
+// Admin only — replaces the grants. Body: { groups: [{ groupId, permission }] }
+// Only used while read_access / write_access is 'groups'
+const setCategoryGroups = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { groups } = req.body;
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const category = await client.query(`SELECT id FROM categories WHERE id = $1 FOR UPDATE`, [id]);
+    if (!category.rows[0]) throw new AppError('Category not found.', 404);
+
+    await client.query(`DELETE FROM category_groups WHERE category_id = $1`, [id]);
+    if (groups.length > 0) {
+      await client.query(
+        `INSERT INTO category_groups (category_id, group_id, permission)
+         SELECT $1, g.group_id, g.permission::group_permission
+         FROM unnest($2::UUID[], $3::TEXT[]) AS g(group_id, permission)`,
+        [id, groups.map(g => g.groupId), groups.map(g => g.permission)]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  logActivity(req.user.id, 'UPDATE_CATEGORY', `category:${id}`, { groups }, req);
+
+  return successResponse(res, { groups }, 'Category groups updated');
+});
+
+// ── GET /api/categories/:id/moderators ───────────────────
+// Admin only — moderators appointed here or on a parent category
+const getCategoryModerators = asyncHandler(async (req, res) => {
+  const result = await query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, parent_id, name FROM categories WHERE id = $1
+       UNION ALL
+       SELECT c.id, c.parent_id, c.name FROM categories c JOIN ancestors a ON c.id = a.parent_id
+     )
+     SELECT u.id, u.username, cm.created_at, cm.appointed_by,
+            a.id AS via_category_id, a.name AS via_category_name
+     FROM category_moderators cm
+     JOIN ancestors a ON a.id = cm.category_id
+     JOIN users u     ON u.id = cm.user_id
+     ORDER BY u.username`,
+    [req.params.id]
+  );
+  return successResponse(res, { moderators: result.rows });
+});
+
+// ── POST /api/categories/:id/moderators ──────────────────
+// Admin only. Body: { userId } — also moderates subcategories
+const addCategoryModerator = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { userId } = req.body;
+
+  // Unknown category/user → FK violation → 400 via errorHandler
+  const result = await query(
+    `INSERT INTO category_moderators (category_id, user_id, appointed_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING
+     RETURNING category_id, user_id, created_at`,
+    [id, userId, req.user.id]
+  );
+  if (!result.rows[0]) throw new AppError('User already moderates this category.', 409);
+
+  logActivity(req.user.id, 'ADD_CATEGORY_MODERATOR', `category:${id}`, { userId }, req);
+
+  return successResponse(res, { moderator: result.rows[0] }, 'Moderator added', 201);
+});
+
+// ── DELETE /api/categories/:id/moderators/:userId ────────
+// Admin only
+const removeCategoryModerator = asyncHandler(async (req, res) => {
+  const { id, userId } = req.params;
+
+  const result = await query(
+    `DELETE FROM category_moderators WHERE category_id = $1 AND user_id = $2 RETURNING user_id`,
+    [id, userId]
+  );
+  if (!result.rows[0]) throw new AppError('User is not a moderator of this category.', 404);
+
+  logActivity(req.user.id, 'REMOVE_CATEGORY_MODERATOR', `category:${id}`, { userId }, req);
+
+  return successResponse(res, {}, 'Moderator removed');
+});
+
+module.exports = {
+  getCategories, getAllCategories, getCategory,
+  createCategory, updateCategory, deleteCategory,
+  getCategoryGroups, setCategoryGroups,
+  getCategoryModerators, addCategoryModerator, removeCategoryModerator,
+};
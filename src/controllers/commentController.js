@@ -1,55 +1,125 @@
 // src/controllers/commentController.js
 // ─────────────────────────────────────────────────────────
 // Handles nested comments for threads
-// All stored in MongoDB Post.comments array
-// PostgreSQL threads.reply_count is kept in sync
+// One MongoDB Comment document per comment (threadId +
+// parentCommentId); PostgreSQL threads.reply_count is kept in sync
 // ─────────────────────────────────────────────────────────
 const { query } = require('../config/postgres');
-const Post = require('../models/Post');
+const Comment = require('../models/Comment');
 const { logActivity, successResponse } = require('../utils/helpers');
+const { renderedFields } = require('../utils/markdown');
+const { removeComment } = require('../services/moderationService');
+const { recordRevision } = require('../services/revisionService');
+const { resolveMentions } = require('../services/mentionService');
+const { buildQuote, getQuotingComments } = require('../services/quoteService');
+const { notify, notifyUpvote, notifyModeration } = require('../services/notificationService');
+const { SORTS, parseCursor, getCommentTree } = require('../services/commentTreeService');
+const {
+  postTarget, commentTarget, getVoteTarget, getUserVote, castVote,
+} = require('../services/voteService');
+const {
+  readableSql, assertCanReadThread, assertCanPost, assertCanWriteThread, assertThreadWritable,
+  canModerateThread,
+} = require('../services/accessService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 
+// Clamp an integer query param into [min, max]
+const intParam = (value, fallback, min, max) => {
+  const n = parseInt(value);
+  return Number.isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+};
+
+// ── GET /api/threads/:threadId/comments ──────────────────
+// Comment tree, assembled server-side
+// Query: sort (oldest|newest|top), limit, maxDepth, replies,
+//        cursor (nextCursor / a comment's moreReplies)
+const getComments = asyncHandler(async (req, res) => {
+  const { threadId } = req.params;
+
+  await assertCanReadThread(threadId, req.user);
+
+  // A cursor carries its own parent + sort; otherwise start at the top level
+  const position = req.query.cursor
+    ? parseCursor(req.query.cursor)
+    : { parentId: null, sort: req.query.sort || 'oldest', after: null };
+  if (!SORTS[position.sort]) throw new AppError('Invalid sort. Use oldest, newest or top.', 400);
+
+  const maxDepth = intParam(req.query.maxDepth, 3, 0, 10);
+  const { comments, nextCursor } = await getCommentTree({
+    threadId,
+    ...position,
+    limit:        intParam(req.query.limit, 20, 1, 100),
+    maxDepth,
+    repliesLimit: intParam(req.query.replies, 5, 1, 50),
+    userId:       req.user?.id,
+  });
+
+  return successResponse(res, {
+    comments,
+    sort: position.sort,
+    maxDepth,
+    nextCursor,
+  });
+});
+
+/**
+ * Reply notifications (parent comment's author, thread author),
+ * then mentions — one notification per person, the most specific
+ */
+const notifyNewComment = (thread, parent, comment, actor) => {
+  const base = { actor, thread, commentId: comment._id };
+  const notified = new Set();
+
+  if (parent?.authorId) {
+    notify({ ...base, type: 'comment_reply', recipients: [parent.authorId] });
+    notified.add(parent.authorId);
+  }
+  if (thread.author_id && !notified.has(thread.author_id)) {
+    notify({ ...base, type: 'thread_reply', recipients: [thread.author_id] });
+    notified.add(thread.author_id);
+  }
+  notify({ ...base, type: 'mention', recipients: comment.mentions.filter(id => !notified.has(id)) });
+};
+
 // ── POST /api/threads/:threadId/comments ─────────────────
 const createComment = asyncHandler(async (req, res) => {
-  const { content, parentCommentId } = req.body;
+  const { content, format, parentCommentId, quote } = req.body;
   const { threadId } = req.params;
 
-  // Check thread exists and isn't locked
+  // Check thread exists (and is visible), isn't locked and the
+  // category allows this user to post
   const threadResult = await query(
-    `SELECT id, is_locked FROM threads WHERE id = $1`,
-    [threadId]
+    `SELECT id, title, slug, category_id, author_id, is_locked FROM threads t
+     WHERE t.id = $1 AND ${readableSql('t.category_id', '$2')}`,
+    [threadId, req.user.id]
   );
   const thread = threadResult.rows[0];
   if (!thread) throw new AppError('Thread not found.', 404);
   if (thread.is_locked) throw new AppError('Thread is locked. No new replies allowed.', 403);
+  await assertCanPost(thread.category_id, req.user);
 
   // If replying to a comment, validate parent exists
+  let parent = null;
   if (parentCommentId) {
-    const post = await Post.findOne({
-      threadId,
-      'comments._id': parentCommentId,
-    });
-    if (!post) throw new AppError('Parent comment not found.', 404);
+    parent = await Comment.findOne({ _id: parentCommentId, threadId }, 'authorId').lean();
+    if (!parent) throw new AppError('Parent comment not found.', 404);
   }
 
-  // Add comment to MongoDB post
-  const newComment = {
+  const [quoted, mentions] = await Promise.all([
+    quote ? buildQuote(threadId, quote) : null,
+    resolveMentions(content, format),
+  ]);
+
+  const comment = await Comment.create({
+    threadId,
     authorId:        req.user.id,
     authorUsername:  req.user.username,
     content,
+    ...renderedFields(content, format),
+    mentions,
+    quote:           quoted,
     parentCommentId: parentCommentId || null,
-  };
-
-  const post = await Post.findOneAndUpdate(
-    { threadId },
-    { $push: { comments: newComment } },
-    { new: true }
-  );
-
-  if (!post) throw new AppError('Thread content not found.', 404);
-
-  // Get the newly added comment (last in array)
-  const comment = post.comments[post.comments.length - 1];
+  });
 
   // Update reply count + last reply info in PostgreSQL
   await query(
@@ -62,6 +132,7 @@ const createComment = asyncHandler(async (req, res) => {
   );
 
   logActivity(req.user.id, 'CREATE_COMMENT', `thread:${threadId}`, {}, req);
+  notifyNewComment(thread, parent, comment, req.user);
 
   return successResponse(res, { comment }, 'Comment added', 201);
 });
@@ -71,25 +142,51 @@ const updateComment = asyncHandler(async (req, res) => {
   const { content } = req.body;
   const { threadId, commentId } = req.params;
 
-  // Find the post and the specific comment in one query
-  const post = await Post.findOne({ threadId });
-  if (!post) throw new AppError('Thread not found.', 404);
+  const comment = await Comment.findOne({ _id: commentId, threadId, isDeleted: false });
+  if (!comment) throw new AppError('Comment not found.', 404);
 
-  const comment = post.comments.id(commentId);
-  if (!comment || comment.isDeleted) throw new AppError('Comment not found.', 404);
-
-  // Only author or moderator/admin can edit
+  // Only the author or a moderator of this category can edit
   const isOwner = comment.authorId === req.user.id;
-  const isMod   = ['moderator', 'admin'].includes(req.user.role);
-  if (!isOwner && !isMod) throw new AppError('Permission denied.', 403);
+  const isModerator = await canModerateThread(threadId, req.user);
+  if (!isOwner && !isModerator) throw new AppError('Permission denied.', 403);
+  // Authors need read + write access to the category, and it mustn't be
+  // archived; moderators may still edit (e.g. to redact)
+  if (!isModerator) await assertCanWriteThread(threadId, req.user);
+
+  const format = req.body.format || comment.format;
+  const previousMentions = [...comment.mentions];
+
+  // Keep the version being replaced (edit history)
+  if (content !== comment.content || format !== comment.format) {
+    await recordRevision({
+      docType:  'comment',
+      docId:    comment._id,
+      threadId,
+      editor:   req.user,
+      content:  comment.content,
+      format:   comment.format,
+    });
+  }
 
-  comment.content  = content;
+  comment.set({
+    content,
+    ...renderedFields(content, format),
+    mentions: await resolveMentions(content, format),
+  });
   comment.isEdited = true;
   comment.editedAt = new Date();
 
-  await post.save();
+  await comment.save();
 
   logActivity(req.user.id, 'UPDATE_COMMENT', `thread:${threadId}:comment:${commentId}`, {}, req);
+  // Only people the edit newly mentions
+  notify({
+    type:       'mention',
+    recipients: comment.mentions.filter(id => !previousMentions.includes(id)),
+    actor:      req.user,
+    thread:     threadId,
+    commentId:  comment._id,
+  });
 
   return successResponse(res, { comment }, 'Comment updated');
 });
@@ -98,51 +195,116 @@ const updateComment = asyncHandler(async (req, res) => {
 const deleteComment = asyncHandler(async (req, res) => {
   const { threadId, commentId } = req.params;
 
-  const post = await Post.findOne({ threadId });
-  if (!post) throw new AppError('Thread not found.', 404);
-
-  const comment = post.comments.id(commentId);
-  if (!comment || comment.isDeleted) throw new AppError('Comment not found.', 404);
+  const comment = await Comment.findOne({ _id: commentId, threadId, isDeleted: false });
+  if (!comment) throw new AppError('Comment not found.', 404);
 
   const isOwner = comment.authorId === req.user.id;
-  const isMod   = ['moderator', 'admin'].includes(req.user.role);
-  if (!isOwner && !isMod) throw new AppError('Permission denied.', 403);
-
-  // Soft delete — keeps comment in place for threaded context
-  // Replies to deleted comments remain visible
-  comment.isDeleted = true;
-  comment.deletedAt = new Date();
-  comment.content   = '[deleted]';
-
-  await post.save();
+  const isModerator = await canModerateThread(threadId, req.user);
+  if (!isOwner && !isModerator) throw new AppError('Permission denied.', 403);
+  // Archived = read-only for authors, as in updateComment
+  if (isOwner && !isModerator) await assertThreadWritable(threadId);
 
-  // Decrement reply count
-  await query(
-    `UPDATE threads SET reply_count = GREATEST(reply_count - 1, 0) WHERE id = $1`,
-    [threadId]
-  );
+  // Soft delete + reply_count sync
+  await removeComment(threadId, commentId);
 
   logActivity(req.user.id, 'DELETE_COMMENT', `thread:${threadId}:comment:${commentId}`, {}, req);
+  if (!isOwner) {
+    notifyModeration({
+      recipient: comment.authorId, actor: req.user, thread: threadId, commentId, action: 'comment_deleted',
+    });
+  }
 
   return successResponse(res, {}, 'Comment deleted');
 });
 
+// ── GET /api/threads/:threadId/comments/:commentId/quotes ─
+// Replies elsewhere that quote this comment (cross-references)
+const getCommentQuotes = asyncHandler(async (req, res) => {
+  const { threadId, commentId } = req.params;
+
+  await assertCanReadThread(threadId, req.user);
+  const comment = await Comment.exists({ _id: commentId, threadId });
+  if (!comment) throw new AppError('Comment not found.', 404);
+
+  const quotedBy = await getQuotingComments(comment._id, req.user?.id || null);
+
+  return successResponse(res, { quotedBy });
+});
+
+// ── Voting ───────────────────────────────────────────────
+// All vote writes go through voteService (atomic updates)
+
+/**
+ * Resolve the vote target and refuse votes on your own content,
+ * in categories the user can't see or in archived ones (no
+ * exemption for moderators — votes aren't moderation)
+ * @returns {Promise<object>} the voted element (authorId, counts)
+ */
+const assertCanVote = async (threadId, target, user) => {
+  await assertCanReadThread(threadId, user);
+  await assertThreadWritable(threadId);
+  const voted = await getVoteTarget(target);
+  if (voted.authorId === user.id) throw new AppError("You can't vote on your own content.", 403);
+  return voted;
+};
+
+// ── POST /api/threads/:threadId/vote ─────────────────────
+// Body: { value: 1 | -1 | 0 } — 0 clears the vote
+const voteThread = asyncHandler(async (req, res) => {
+  const { threadId } = req.params;
+  const { value } = req.body;
+  const userId = req.user.id;
+
+  const target = postTarget(threadId);
+  const voted = await assertCanVote(threadId, target, req.user);
+
+  const { previousVote, ...votes } = await castVote(target, userId, value);
+
+  logActivity(userId, 'VOTE_POST', `thread:${threadId}`, { value }, req);
+  if (value === 1 && previousVote !== 1) {
+    notifyUpvote({ recipient: voted.authorId, actor: req.user, thread: threadId });
+  }
+
+  return successResponse(res, votes, 'Vote recorded');
+});
+
+// ── POST /api/threads/:threadId/comments/:commentId/vote ─
+const voteComment = asyncHandler(async (req, res) => {
+  const { threadId, commentId } = req.params;
+  const { value } = req.body;
+  const userId = req.user.id;
+
+  const target = commentTarget(threadId, commentId);
+  const voted = await assertCanVote(threadId, target, req.user);
+
+  const { previousVote, ...votes } = await castVote(target, userId, value);
+
+  logActivity(userId, 'VOTE_COMMENT', `comment:${commentId}`, { value }, req);
+  if (value === 1 && previousVote !== 1) {
+    notifyUpvote({ recipient: voted.authorId, actor: req.user, thread: threadId, commentId });
+  }
+
+  return successResponse(res, votes, 'Vote recorded');
+});
+
 // ── POST /api/threads/:threadId/upvote ───────────────────
+// Toggle an upvote (older clients) — same as vote 1 / vote 0
 const upvoteThread = asyncHandler(async (req, res) => {
   const { threadId } = req.params;
   const userId = req.user.id;
 
-  const post = await Post.findOne({ threadId });
-  if (!post) throw new AppError('Thread not found.', 404);
+  const target = postTarget(threadId);
+  const voted = await assertCanVote(threadId, target, req.user);
 
-  await post.toggleUpvote(userId);
+  const value = (await getUserVote(target, userId)) === 1 ? 0 : 1;
+  const { previousVote, ...votes } = await castVote(target, userId, value);
 
   logActivity(userId, 'UPVOTE_POST', `thread:${threadId}`, {}, req);
+  if (value === 1 && previousVote !== 1) {
+    notifyUpvote({ recipient: voted.authorId, actor: req.user, thread: threadId });
+  }
 
-  return successResponse(res, {
-    upvotes: post.originalPost.upvotes,
-    upvoted: post.originalPost.upvotedBy.includes(userId),
-  }, 'Vote recorded');
+  return successResponse(res, { ...votes, upvoted: value === 1 }, 'Vote recorded');
 });
 
 // ── POST /api/threads/:threadId/comments/:commentId/upvote
@@ -150,33 +312,23 @@ const upvoteComment = asyncHandler(async (req, res) => {
   const { threadId, commentId } = req.params;
   const userId = req.user.id;
 
-  const post = await Post.findOne({ threadId });
-  if (!post) throw new AppError('Thread not found.', 404);
-
-  const comment = post.comments.id(commentId);
-  if (!comment || comment.isDeleted) throw new AppError('Comment not found.', 404);
+  const target = commentTarget(threadId, commentId);
+  const voted = await assertCanVote(threadId, target, req.user);
 
-  // Toggle upvote
-  const idx = comment.upvotedBy.indexOf(userId);
-  if (idx === -1) {
-    comment.upvotedBy.push(userId);
-    comment.upvotes += 1;
-  } else {
-    comment.upvotedBy.splice(idx, 1);
-    comment.upvotes -= 1;
-  }
-
-  await post.save();
+  const value = (await getUserVote(target, userId)) === 1 ? 0 : 1;
+  const { previousVote, ...votes } = await castVote(target, userId, value);
 
   logActivity(userId, 'UPVOTE_COMMENT', `comment:${commentId}`, {}, req);
+  if (value === 1 && previousVote !== 1) {
+    notifyUpvote({ recipient: voted.authorId, actor: req.user, thread: threadId, commentId });
+  }
 
-  return successResponse(res, {
-    upvotes: comment.upvotes,
-    upvoted: comment.upvotedBy.includes(userId),
-  }, 'Vote recorded');
+  return successResponse(res, { ...votes, upvoted: value === 1 }, 'Vote recorded');
 });
 
 module.exports = {
-  createComment, updateComment, deleteComment,
+  getComments, createComment, updateComment, deleteComment,
+  getCommentQuotes,
+  voteThread, voteComment,
   upvoteThread, upvoteComment,
 };
@@ -0,0 +1,103 @@
+// src/controllers/groupController.js
+// ─────────────────────────────────────────────────────────
+// User groups (admin) — named sets of users that categories
+// with read/write access 'groups' are opened to
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const { logActivity, successResponse } = require('../utils/helpers');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// ── GET /api/admin/groups ────────────────────────────────
+const getGroups = asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT g.id, g.name, g.description, g.created_at,
+            (SELECT COUNT(*) FROM user_group_members m WHERE m.group_id = g.id)::INTEGER AS member_count
+     FROM user_groups g
+     ORDER BY g.name`
+  );
+  return successResponse(res, { groups: result.rows });
+});
+
+// ── POST /api/admin/groups ───────────────────────────────
+const createGroup = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  const result = await query(
+    `INSERT INTO user_groups (name, description) VALUES ($1, $2)
+     RETURNING id, name, description, created_at`,
+    [name, description || null]
+  );
+
+  logActivity(req.user.id, 'CREATE_GROUP', `group:${result.rows[0].id}`, { name }, req);
+
+  return successResponse(res, { group: result.rows[0] }, 'Group created', 201);
+});
+
+// ── DELETE /api/admin/groups/:groupId ────────────────────
+// Members and category grants go with it
+const deleteGroup = asyncHandler(async (req, res) => {
+  const result = await query(
+    `DELETE FROM user_groups WHERE id = $1 RETURNING id, name`,
+    [req.params.groupId]
+  );
+  if (!result.rows[0]) throw new AppError('Group not found.', 404);
+
+  logActivity(req.user.id, 'DELETE_GROUP', `group:${req.params.groupId}`, { name: result.rows[0].name }, req);
+
+  return successResponse(res, {}, 'Group deleted');
+});
+
+// ── GET /api/admin/groups/:groupId/members ───────────────
+const getGroupMembers = asyncHandler(async (req, res) => {
+  const group = await query(`SELECT id, name FROM user_groups WHERE id = $1`, [req.params.groupId]);
+  if (!group.rows[0]) throw new AppError('Group not found.', 404);
+
+  const result = await query(
+    `SELECT u.id, u.username, u.role, m.added_at
+     FROM user_group_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.group_id = $1
+     ORDER BY u.username`,
+    [req.params.groupId]
+  );
+  return successResponse(res, { group: group.rows[0], members: result.rows });
+});
+
+// ── POST /api/admin/groups/:groupId/members ──────────────
+const addGroupMember = asyncHandler(async (req, res) => {
+  const { groupId } = req.params;
+  const { userId } = req.body;
+
+  // Unknown group/user → FK violation → 400 via errorHandler
+  const result = await query(
+    `INSERT INTO user_group_members (group_id, user_id) VALUES ($1, $2)
+     ON CONFLICT DO NOTHING
+     RETURNING added_at`,
+    [groupId, userId]
+  );
+  if (!result.rows[0]) throw new AppError('User is already in this group.', 409);
+
+  logActivity(req.user.id, 'ADD_GROUP_MEMBER', `group:${groupId}`, { userId }, req);
+
+  return successResponse(res, {}, 'Member added', 201);
+});
+
+// ── DELETE /api/admin/groups/:groupId/members/:userId ────
+const removeGroupMember = asyncHandler(async (req, res) => {
+  const { groupId, userId } = req.params;
+
+  const result = await query(
+    `DELETE FROM user_group_members WHERE group_id = $1 AND user_id = $2 RETURNING user_id`,
+    [groupId, userId]
+  );
+  if (!result.rows[0]) throw new AppError('User is not in this group.', 404);
+
+  logActivity(req.user.id, 'REMOVE_GROUP_MEMBER', `group:${groupId}`, { userId }, req);
+
+  return successResponse(res, {}, 'Member removed');
+});
+
+module.exports = {
+  getGroups, createGroup, deleteGroup,
+  getGroupMembers, addGroupMember, removeGroupMember,
+};
@@ -0,0 +1,65 @@
+// src/controllers/notificationController.js
+// ─────────────────────────────────────────────────────────
+// The signed-in user's notifications and per-type preferences
+// Notifications are produced elsewhere (comments, votes,
+// mentions, moderation) through notificationService.
+// ─────────────────────────────────────────────────────────
+const { getPagination, paginatedResponse, successResponse } = require('../utils/helpers');
+const notificationService = require('../services/notificationService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// ── GET /api/notifications ───────────────────────────────
+// Latest activity first. Query: unread=true, page, limit
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+
+  const { notifications, total, unreadCount } = await notificationService.listNotifications(req.user.id, {
+    unreadOnly: req.query.unread === 'true',
+    limit,
+    offset,
+  });
+
+  return successResponse(res, {
+    ...paginatedResponse(notifications, total, page, limit),
+    unreadCount,
+  });
+});
+
+// ── GET /api/notifications/unread-count ──────────────────
+// Cheap enough to poll for a badge
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await notificationService.countUnread(req.user.id);
+  return successResponse(res, { unreadCount });
+});
+
+// ── PATCH /api/notifications/:id/read ────────────────────
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markRead(req.user.id, req.params.id);
+  const unreadCount = await notificationService.countUnread(req.user.id);
+  return successResponse(res, { notification, unreadCount }, 'Notification marked as read');
+});
+
+// ── POST /api/notifications/read-all ─────────────────────
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const marked = await notificationService.markAllRead(req.user.id);
+  return successResponse(res, { marked, unreadCount: 0 }, 'All notifications marked as read');
+});
+
+// ── GET /api/notifications/preferences ───────────────────
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.getPreferences(req.user.id);
+  return successResponse(res, { preferences });
+});
+
+// ── PATCH /api/notifications/preferences ─────────────────
+// Body: { [type]: boolean } — only the types given change
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.setPreferences(req.user.id, req.body);
+  return successResponse(res, { preferences }, 'Notification preferences updated');
+});
+
+module.exports = {
+  getNotifications, getUnreadCount,
+  markNotificationRead, markAllNotificationsRead,
+  getNotificationPreferences, updateNotificationPreferences,
+};
@@ -0,0 +1,257 @@
+// src/controllers/reportController.js
+// ─────────────────────────────────────────────────────────
+// User reports on threads/comments + the moderator queue
+// Reports live in PostgreSQL (status filtering, counts);
+// comment targets point at MongoDB comment ids
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const Comment = require('../models/Comment');
+const {
+  logActivity, getPagination, paginatedResponse, successResponse,
+} = require('../utils/helpers');
+const { banAccount, removeThread, removeComment } = require('../services/moderationService');
+const { formatBan } = require('../services/banService');
+const { notifyModeration } = require('../services/notificationService');
+const { readableSql, assertCanReadThread } = require('../services/accessService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const REPORT_REASONS  = ['spam', 'harassment', 'hate', 'nsfw', 'misinformation', 'off_topic', 'other'];
+
+/**
+ * Insert a report — one open report per user per target
+ */
+const createReport = async (req, { threadId, commentId = null, reportedUserId }) => {
+  const { reason, details } = req.body;
+
+  if (reportedUserId === req.user.id) {
+    throw new AppError("You can't report your own content.", 400);
+  }
+
+  try {
+    const result = await query(
+      `INSERT INTO reports (thread_id, comment_id, reporter_id, reported_user_id, reason, details)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, thread_id, comment_id, reason, details, status, created_at`,
+      [threadId, commentId, req.user.id, reportedUserId, reason, details || null]
+    );
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new AppError('You already have an open report on this content.', 409);
+    }
+    throw err;
+  }
+};
+
+// ── POST /api/threads/:threadId/report ───────────────────
+const reportThread = asyncHandler(async (req, res) => {
+  const { threadId } = req.params;
+
+  const threadResult = await query(
+    `SELECT id, author_id FROM threads t WHERE t.id = $1 AND ${readableSql('t.category_id', '$2')}`,
+    [threadId, req.user.id]
+  );
+  const thread = threadResult.rows[0];
+  if (!thread) throw new AppError('Thread not found.', 404);
+
+  const report = await createReport(req, { threadId, reportedUserId: thread.author_id });
+
+  logActivity(req.user.id, 'REPORT_CONTENT', `thread:${threadId}`, { reason: report.reason }, req);
+
+  return successResponse(res, { report }, 'Report submitted', 201);
+});
+
+// ── POST /api/threads/:threadId/comments/:commentId/report
+const reportComment = asyncHandler(async (req, res) => {
+  const { threadId, commentId } = req.params;
+
+  await assertCanReadThread(threadId, req.user);
+  const comment = await Comment.findOne({ _id: commentId, threadId, isDeleted: false }, 'authorId');
+  if (!comment) throw new AppError('Comment not found.', 404);
+
+  const report = await createReport(req, {
+    threadId,
+    commentId,
+    reportedUserId: comment.authorId,
+  });
+
+  logActivity(req.user.id, 'REPORT_CONTENT', `thread:${threadId}:comment:${commentId}`, { reason: report.reason }, req);
+
+  return successResponse(res, { report }, 'Report submitted', 201);
+});
+
+// ── GET /api/moderation/reports ──────────────────────────
+// Queue, oldest first. Filters: status (default open), reason, type
+const getReports = asyncHandler(async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  const { status = 'open', reason, type } = req.query;
+
+  if (!REPORT_STATUSES.includes(status)) throw new AppError('Invalid report status.', 400);
+  if (reason && !REPORT_REASONS.includes(reason)) throw new AppError('Invalid report reason.', 400);
+
+  const conditions = [];
+  const params = [];
+  let i = 1;
+
+  conditions.push(`r.status = $${i++}`);
+  params.push(status);
+
+  if (reason) {
+    conditions.push(`r.reason = $${i++}`);
+    params.push(reason);
+  }
+  if (type === 'thread')  conditions.push('r.comment_id IS NULL');
+  if (type === 'comment') conditions.push('r.comment_id IS NOT NULL');
+
+  const where = 'WHERE ' + conditions.join(' AND ');
+
+  const [reportsResult, countResult] = await Promise.all([
+    query(
+      `SELECT r.id, r.thread_id, r.comment_id, r.reason, r.details, r.status,
+              r.action_taken, r.resolution_note, r.resolved_at, r.created_at,
+              t.title AS thread_title, t.slug AS thread_slug,
+              r.reporter_id, reporter.username AS reporter_username,
+              r.reported_user_id, reported.username AS reported_username,
+              r.resolved_by, resolver.username AS resolved_by_username,
+              (SELECT COUNT(*) FROM reports o
+               WHERE o.status = 'open'
+                 AND o.thread_id = r.thread_id
+                 AND o.comment_id IS NOT DISTINCT FROM r.comment_id)::INTEGER AS open_reports_on_target
+       FROM reports r
+       LEFT JOIN threads t        ON t.id = r.thread_id
+       LEFT JOIN users reporter   ON reporter.id = r.reporter_id
+       LEFT JOIN users reported   ON reported.id = r.reported_user_id
+       LEFT JOIN users resolver   ON resolver.id = r.resolved_by
+       ${where}
+       ORDER BY r.created_at ASC
+       LIMIT $${i} OFFSET $${i + 1}`,
+      [...params, limit, offset]
+    ),
+    query(`SELECT COUNT(*)::INTEGER AS total FROM reports r ${where}`, params),
+  ]);
+
+  return successResponse(res, paginatedResponse(
+    reportsResult.rows,
+    countResult.rows[0].total,
+    page, limit
+  ));
+});
+
+// ── PATCH /api/moderation/reports/:reportId ──────────────
+// Resolve or dismiss; resolving can also delete the content
+// and (admins only) ban its author in the same call.
+// Every open report on the same target is closed together.
+const handleReport = asyncHandler(async (req, res) => {
+  const { decision, deleteContent, ban, note } = req.body;
+  const { reportId } = req.params;
+
+  if (ban && req.user.role !== 'admin') throw new AppError('Only admins can ban users.', 403);
+
+  // Claim the report before acting — of two moderators handling it
+  // at once, only one gets the row back; the other gets 409
+  const status = decision === 'dismiss' ? 'dismissed' : 'resolved';
+  const claimResult = await query(
+    `UPDATE reports SET status = $1, resolved_by = $2, resolved_at = NOW()
+     WHERE id = $3 AND status = 'open'
+     RETURNING id, thread_id, comment_id, reported_user_id`,
+    [status, req.user.id, reportId]
+  );
+  const report = claimResult.rows[0];
+  if (!report) {
+    const exists = await query(`SELECT id FROM reports WHERE id = $1`, [reportId]);
+    if (!exists.rows[0]) throw new AppError('Report not found.', 404);
+    throw new AppError('Report has already been handled.', 409);
+  }
+
+  const actions = [];
+  let issuedBan = null;
+  let reportIds;
+
+  try {
+    if (ban && !report.reported_user_id) throw new AppError('Reported user no longer exists.', 400);
+
+    // Capture sibling reports first — deleting a thread nulls their thread_id
+    const siblings = report.thread_id
+      ? await query(
+          `SELECT id FROM reports
+           WHERE status = 'open' AND thread_id = $1 AND comment_id IS NOT DISTINCT FROM $2`,
+          [report.thread_id, report.comment_id]
+        )
+      : { rows: [] };
+    reportIds = [report.id, ...siblings.rows.map(r => r.id).filter(id => id !== report.id)];
+
+    // Ban first — it validates the target (e.g. admins can't be banned)
+    if (ban) {
+      issuedBan = await banAccount({
+        userId:    report.reported_user_id,
+        bannedBy:  req.user.id,
+        reason:    ban.reason,
+        expiresAt: ban.expiresAt,
+      });
+      logActivity(req.user.id, 'BAN_USER', `user:${report.reported_user_id}`, { reason: ban.reason, expiresAt: ban.expiresAt, reportId }, req);
+      actions.push('ban_user');
+    }
+
+    if (deleteContent && report.thread_id) {
+      if (report.comment_id) {
+        const comment = await removeComment(report.thread_id, report.comment_id);
+        logActivity(req.user.id, 'DELETE_COMMENT', `thread:${report.thread_id}:comment:${report.comment_id}`, { reportId }, req);
+        notifyModeration({
+          recipient: comment.authorId, actor: req.user, thread: report.thread_id,
+          commentId: report.comment_id, action: 'comment_deleted',
+        });
+      } else {
+        const thread = await removeThread(report.thread_id);
+        logActivity(req.user.id, 'DELETE_THREAD', `thread:${report.thread_id}`, { reportId }, req);
+        notifyModeration({
+          recipient: thread.author_id, actor: req.user,
+          thread: { id: thread.id, title: thread.title }, action: 'thread_deleted',
+        });
+      }
+      actions.push('delete_content');
+    }
+  } catch (err) {
+    // Nothing applied yet → back in the queue. Once an action went
+    // through, keep the claim and record what was done.
+    if (actions.length === 0) {
+      await query(
+        `UPDATE reports SET status = 'open', resolved_by = NULL, resolved_at = NULL WHERE id = $1`,
+        [report.id]
+      );
+    } else {
+      await query(
+        `UPDATE reports SET action_taken = $2, resolution_note = $3 WHERE id = $1`,
+        [report.id, actions.join(','), note || null]
+      );
+    }
+    throw err;
+  }
+
+  // The claimed report + siblings still open
+  const result = await query(
+    `UPDATE reports
+     SET status = $1, action_taken = $2, resolution_note = $3,
+         resolved_by = $4, resolved_at = NOW()
+     WHERE id = ANY($5::UUID[]) AND (status = 'open' OR id = $6)
+     RETURNING id`,
+    [status, actions.join(',') || 'none', note || null, req.user.id, reportIds, report.id]
+  );
+
+  logActivity(
+    req.user.id,
+    status === 'dismissed' ? 'DISMISS_REPORT' : 'RESOLVE_REPORT',
+    `report:${reportId}`,
+    { actions, closedReports: result.rowCount },
+    req
+  );
+
+  return successResponse(res, {
+    status,
+    actions,
+    closedReports: result.rows.map(r => r.id),
+    ...(issuedBan && { ban: formatBan(issuedBan) }),
+  }, `Report ${status}`);
+});
+
+module.exports = { reportThread, reportComment, getReports, handleReport };
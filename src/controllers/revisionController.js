@@ -0,0 +1,89 @@
+// src/controllers/revisionController.js
+// ─────────────────────────────────────────────────────────
+// Edit history for opening posts and comments
+// Viewing: the author or a moderator of the thread's category
+// Restoring: moderators only
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { logActivity, successResponse } = require('../utils/helpers');
+const revisionService = require('../services/revisionService');
+const { canModerateThread, assertCanModerateThread } = require('../services/accessService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+const assertCanViewHistory = async (threadId, authorId, user) => {
+  if (authorId === user.id) return;
+  if (!(await canModerateThread(threadId, user))) throw new AppError('Permission denied.', 403);
+};
+
+// ── GET /api/threads/:id/revisions ───────────────────────
+// Opening post + title, every version oldest first
+const getThreadRevisions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const [threadResult, post] = await Promise.all([
+    query(`SELECT id, title FROM threads WHERE id = $1`, [id]),
+    Post.findOne({ threadId: id }, 'originalPost createdAt').lean(),
+  ]);
+  const thread = threadResult.rows[0];
+  if (!thread || !post) throw new AppError('Thread not found.', 404);
+
+  const op = post.originalPost;
+  await assertCanViewHistory(id, op.authorId, req.user);
+
+  const versions = await revisionService.getHistory(
+    post._id,
+    { authorId: op.authorId, authorUsername: op.authorUsername, createdAt: post.createdAt },
+    { title: thread.title, content: op.content, format: op.format }
+  );
+
+  return successResponse(res, { versions });
+});
+
+// ── GET /api/threads/:threadId/comments/:commentId/revisions
+const getCommentRevisions = asyncHandler(async (req, res) => {
+  const { threadId, commentId } = req.params;
+
+  const comment = await Comment.findOne({ _id: commentId, threadId, isDeleted: false }).lean();
+  if (!comment) throw new AppError('Comment not found.', 404);
+
+  await assertCanViewHistory(threadId, comment.authorId, req.user);
+
+  const versions = await revisionService.getHistory(
+    comment._id,
+    { authorId: comment.authorId, authorUsername: comment.authorUsername, createdAt: comment.createdAt },
+    { content: comment.content, format: comment.format }
+  );
+
+  return successResponse(res, { versions });
+});
+
+// ── POST /api/threads/:id/revisions/:revisionId/restore ──
+const restoreThreadRevision = asyncHandler(async (req, res) => {
+  const { id, revisionId } = req.params;
+
+  await assertCanModerateThread(id, req.user);
+  const post = await revisionService.restorePostRevision(id, revisionId, req.user);
+
+  logActivity(req.user.id, 'RESTORE_REVISION', `thread:${id}`, { revisionId }, req);
+
+  return successResponse(res, { post }, 'Revision restored');
+});
+
+// ── POST /api/threads/:threadId/comments/:commentId/revisions/:revisionId/restore
+const restoreCommentRevision = asyncHandler(async (req, res) => {
+  const { threadId, commentId, revisionId } = req.params;
+
+  await assertCanModerateThread(threadId, req.user);
+  const comment = await revisionService.restoreCommentRevision(threadId, commentId, revisionId, req.user);
+
+  logActivity(req.user.id, 'RESTORE_REVISION', `thread:${threadId}:comment:${commentId}`, { revisionId }, req);
+
+  return successResponse(res, { comment }, 'Revision restored');
+});
+
+module.exports = {
+  getThreadRevisions, getCommentRevisions,
+  restoreThreadRevision, restoreCommentRevision,
+};
@@ -0,0 +1,65 @@
+// src/controllers/searchController.js
+// ─────────────────────────────────────────────────────────
+// GET /api/search — one search box for titles, opening
+// posts, comments and tags (ranking lives in searchService)
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const { getPagination, paginatedResponse, successResponse } = require('../utils/helpers');
+const { search: runSearch } = require('../services/searchService');
+const { findTag, normalizeTag } = require('../services/tagService');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+const SEARCH_TYPES = ['all', 'thread', 'comment'];
+
+// Optional ISO date query param → Date (400 if unparseable)
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new AppError(`Invalid ${name} date.`, 400);
+  return date;
+};
+
+// ── GET /api/search ──────────────────────────────────────
+// Query: q (required), type (all|thread|comment), categoryId,
+//        author (username), tag, from, to, page, limit
+const search = asyncHandler(async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query);
+  const q = String(req.query.q || '').trim();
+  const type = req.query.type || 'all';
+
+  if (q.length < 2 || q.length > 200) {
+    throw new AppError('Search query must be 2-200 characters.', 400);
+  }
+  if (!SEARCH_TYPES.includes(type)) throw new AppError('Invalid type. Use all, thread or comment.', 400);
+
+  const from = parseDate(req.query.from, 'from');
+  const to   = parseDate(req.query.to, 'to');
+
+  // Author filter is by username — unknown user = no results
+  let authorId = null;
+  if (req.query.author) {
+    const userResult = await query(`SELECT id FROM users WHERE username = $1`, [req.query.author]);
+    if (!userResult.rows[0]) return successResponse(res, paginatedResponse([], 0, page, limit));
+    authorId = userResult.rows[0].id;
+  }
+
+  // Tag filter accepts aliases ("js" finds "javascript")
+  let tag = null;
+  if (req.query.tag) {
+    const found = await findTag(req.query.tag);
+    tag = found ? found.name : normalizeTag(req.query.tag);
+  }
+
+  const { results, total } = await runSearch(q, {
+    type,
+    categoryId: req.query.categoryId,
+    authorId,
+    tag,
+    from,
+    to,
+  }, { limit, offset, userId: req.user?.id || null });
+
+  return successResponse(res, paginatedResponse(results, total, page, limit));
+});
+
+module.exports = { search };
@@ -0,0 +1,92 @@
+// src/controllers/tagController.js
+// ─────────────────────────────────────────────────────────
+// Tag browsing (public) + tag management (admin)
+// Rename / merge / block rewrite existing threads too —
+// see services/tagService.js
+// ─────────────────────────────────────────────────────────
+const { logActivity, successResponse } = require('../utils/helpers');
+const tagService = require('../services/tagService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// ── GET /api/tags ────────────────────────────────────────
+// Query: search (name prefix), sort (popular|name), limit
+// Counts cover only threads the viewer can read
+const getTags = asyncHandler(async (req, res) => {
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+  const tags = await tagService.listTags({
+    search: req.query.search,
+    sort:   req.query.sort === 'name' ? 'name' : 'popular',
+    limit,
+    userId: req.user?.id || null,
+  });
+  return successResponse(res, { tags });
+});
+
+// ── PATCH /api/admin/tags/:tagId ─────────────────────────
+// Rename; the old name stays as an alias unless keepAlias=false
+const renameTag = asyncHandler(async (req, res) => {
+  const { name, keepAlias } = req.body;
+  const tag = await tagService.renameTag(req.params.tagId, name, { keepAlias });
+
+  logActivity(req.user.id, 'RENAME_TAG', `tag:${tag.id}`, { name: tag.name, keepAlias }, req);
+
+  return successResponse(res, { tag }, 'Tag renamed');
+});
+
+// ── POST /api/admin/tags/:tagId/merge ────────────────────
+const mergeTag = asyncHandler(async (req, res) => {
+  const { source, target, threadsUpdated } = await tagService.mergeTags(req.params.tagId, req.body.targetTagId);
+
+  logActivity(req.user.id, 'MERGE_TAG', `tag:${target.id}`, { from: source.name, into: target.name }, req);
+
+  return successResponse(res, { tag: target, mergedFrom: source.name, threadsUpdated }, 'Tags merged');
+});
+
+// ── POST /api/admin/tags/:tagId/aliases ──────────────────
+const addAlias = asyncHandler(async (req, res) => {
+  const { alias, tag } = await tagService.addAlias(req.params.tagId, req.body.alias);
+
+  logActivity(req.user.id, 'ADD_TAG_ALIAS', `tag:${tag.id}`, { alias }, req);
+
+  return successResponse(res, { alias, tag }, 'Alias added', 201);
+});
+
+// ── DELETE /api/admin/tags/aliases/:alias ────────────────
+const removeAlias = asyncHandler(async (req, res) => {
+  const { alias, tag_id } = await tagService.removeAlias(req.params.alias);
+
+  logActivity(req.user.id, 'REMOVE_TAG_ALIAS', `tag:${tag_id}`, { alias }, req);
+
+  return successResponse(res, {}, 'Alias removed');
+});
+
+// ── GET /api/admin/tags/blocklist ────────────────────────
+const getBlocklist = asyncHandler(async (req, res) => {
+  const blocklist = await tagService.getBlocklist();
+  return successResponse(res, { blocklist });
+});
+
+// ── POST /api/admin/tags/blocklist ───────────────────────
+const blockTag = asyncHandler(async (req, res) => {
+  const { name, reason } = req.body;
+  const result = await tagService.blockTag(name, reason, req.user.id);
+
+  logActivity(req.user.id, 'BLOCK_TAG', `tag:${result.name}`, { reason, threadsUpdated: result.threadsUpdated }, req);
+
+  return successResponse(res, result, 'Tag blocklisted', 201);
+});
+
+// ── DELETE /api/admin/tags/blocklist/:name ───────────────
+const unblockTag = asyncHandler(async (req, res) => {
+  await tagService.unblockTag(req.params.name);
+
+  logActivity(req.user.id, 'UNBLOCK_TAG', `tag:${req.params.name}`, {}, req);
+
+  return successResponse(res, {}, 'Tag removed from blocklist');
+});
+
+module.exports = {
+  getTags,
+  renameTag, mergeTag, addAlias, removeAlias,
+  getBlocklist, blockTag, unblockTag,
+};
@@ -10,47 +10,94 @@
 // ─────────────────────────────────────────────────────────
 const { query, getClient } = require('../config/postgres');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
 const {
   slugify, logActivity,
   getPagination, paginatedResponse,
+  getCursorPagination, cursorResponse,
   successResponse,
 } = require('../utils/helpers');
+const { renderedFields } = require('../utils/markdown');
+const { removeThread } = require('../services/moderationService');
+const { ensurePostRendered, ensureCommentsRendered } = require('../services/renderService');
+const { resolveMentions } = require('../services/mentionService');
+const { resolveQuotes } = require('../services/quoteService');
+const { notify, notifyModeration } = require('../services/notificationService');
+const threadService = require('../services/threadService');
+const { recordRevision } = require('../services/revisionService');
+const { findTag, resolveTagNames, setThreadTags } = require('../services/tagService');
+const { inSubtreeSql } = require('../services/categoryService');
+const {
+  readableSql, archivedSql, assertCanPost, assertCanWriteThread,
+  canModerateCategory, canModerateThread, assertCanModerateThread,
+} = require('../services/accessService');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 
+// Sort options — always pinned first, newest id breaks ties
+// so every order is total (required for keyset cursors).
+// activity: COALESCE(…, '-infinity') == last_reply_at DESC NULLS LAST
+const sortMap = {
+  activity: { key: "COALESCE(t.last_reply_at, '-infinity'::TIMESTAMPTZ)", type: 'TIMESTAMPTZ' },
+  newest:   { key: 't.created_at',  type: 'TIMESTAMPTZ' },
+  popular:  { key: 't.view_count',  type: 'INTEGER' },
+  replies:  { key: 't.reply_count', type: 'INTEGER' },
+};
+
 // ── GET /api/threads ─────────────────────────────────────
-// List threads with filters: categoryId, search, sort
+// List threads with filters: categoryId (+ includeSubcategories=true
+// for the whole subtree), tag, search, sort
+// Paging: page/limit, or cursor/limit (keyset — pass `cursor=`
+// for the first page, then each response's nextCursor)
 const getThreads = asyncHandler(async (req, res) => {
-  const { page, limit, offset } = getPagination(req.query);
-  const { categoryId, search, sort = 'activity' } = req.query;
+  const { categoryId, tag, search } = req.query;
+  const sort = sortMap[req.query.sort] ? req.query.sort : 'activity';
+  const { key, type } = sortMap[sort];
 
-  // Build WHERE clause dynamically
-  const conditions = [];
-  const params = [];
-  let paramIdx = 1;
+  // Cursor = [is_pinned, sort key (as text, full precision), id]
+  const cursor = getCursorPagination(req.query, sort, 3);
+
+  // Build WHERE clause dynamically — always limited to
+  // categories the viewer can read
+  const conditions = [readableSql('t.category_id', '$1')];
+  const params = [req.user?.id || null];
+  let paramIdx = 2;
 
   if (categoryId) {
-    conditions.push(`t.category_id = $${paramIdx++}`);
+    conditions.push(req.query.includeSubcategories === 'true'
+      ? inSubtreeSql('t.category_id', `$${paramIdx++}::UUID`)
+      : `t.category_id = $${paramIdx++}`);
     params.push(categoryId);
   }
 
+  // Tag (or one of its aliases) — indexed join on thread_tags
+  if (tag) {
+    const found = await findTag(tag);
+    if (found) {
+      conditions.push(`EXISTS (SELECT 1 FROM thread_tags tt WHERE tt.thread_id = t.id AND tt.tag_id = $${paramIdx++})`);
+      params.push(found.id);
+    } else {
+      conditions.push('FALSE');  // Unknown tag → empty list
+    }
+  }
+
   // Full-text search using PostgreSQL GIN index (fast!)
   if (search) {
     conditions.push(`to_tsvector('english', t.title) @@ plainto_tsquery('english', $${paramIdx++})`);
     params.push(search);
   }
 
-  const whereClause = conditions.length > 0
-    ? 'WHERE ' + conditions.join(' AND ')
-    : '';
+  // Keyset: rows strictly after the cursor in (DESC) sort order
+  if (cursor?.after) {
+    conditions.push(
+      `(t.is_pinned, ${key}, t.id) < ($${paramIdx}::BOOLEAN, $${paramIdx + 1}::${type}, $${paramIdx + 2}::UUID)`
+    );
+    params.push(...cursor.after);
+    paramIdx += 3;
+  }
 
-  // Sort options
-  const sortMap = {
-    activity: 't.is_pinned DESC, t.last_reply_at DESC NULLS LAST',
-    newest:   't.is_pinned DESC, t.created_at DESC',
-    popular:  't.is_pinned DESC, t.view_count DESC',
-    replies:  't.is_pinned DESC, t.reply_count DESC',
-  };
-  const orderBy = sortMap[sort] || sortMap.activity;
+  const whereClause = 'WHERE ' + conditions.join(' AND ');
+
+  const orderBy = `t.is_pinned DESC, ${key} DESC, t.id DESC`;
 
   // Main query: get threads with author info
   // Uses indexed columns → fast retrieval
@@ -63,7 +110,13 @@ const getThreads = asyncHandler(async (req, res) => {
       u.id   AS author_id,
       u.username AS author_username,
       c.name AS category_name,
-      c.slug AS category_slug
+      c.slug AS category_slug,
+      ${archivedSql('t.category_id')} AS category_archived,
+      ARRAY(
+        SELECT tg.name FROM thread_tags tt JOIN tags tg ON tg.id = tt.tag_id
+        WHERE tt.thread_id = t.id ORDER BY tg.name
+      ) AS tags,
+      (${key})::TEXT AS sort_key
     FROM threads t
     JOIN users      u ON u.id = t.author_id
     JOIN categories c ON c.id = t.category_id
@@ -72,6 +125,20 @@ const getThreads = asyncHandler(async (req, res) => {
     LIMIT $${paramIdx} OFFSET $${paramIdx + 1}
   `;
 
+  const withoutSortKey = rows => rows.map(({ sort_key, ...row }) => row);
+
+  if (cursor) {
+    // No COUNT(*) in cursor mode — one extra row tells us if there's more
+    const threadsResult = await query(threadsQuery, [...params, cursor.limit + 1, 0]);
+    const page = cursorResponse(
+      threadsResult.rows, cursor.limit, sort,
+      row => [row.is_pinned, row.sort_key, row.id]
+    );
+    return successResponse(res, { ...page, data: withoutSortKey(page.data) });
+  }
+
+  const { page, limit, offset } = getPagination(req.query);
+
   // Count query (for pagination)
   const countQuery = `
     SELECT COUNT(*)::INTEGER AS total
@@ -84,7 +151,7 @@ const getThreads = asyncHandler(async (req, res) => {
   ]);
 
   return successResponse(res, paginatedResponse(
-    threadsResult.rows,
+    withoutSortKey(threadsResult.rows),
     countResult.rows[0].total,
     page,
     limit
@@ -99,16 +166,27 @@ const getThread = asyncHandler(async (req, res) => {
   const threadResult = await query(
     `SELECT
        t.*, u.username AS author_username, u.id AS author_id,
-       c.name AS category_name, c.slug AS category_slug
+       c.name AS category_name, c.slug AS category_slug,
+       ${archivedSql('t.category_id')} AS category_archived
      FROM threads t
      JOIN users u      ON u.id = t.author_id
      JOIN categories c ON c.id = t.category_id
-     WHERE t.slug = $1`,
-    [slug]
+     WHERE t.slug = $1 AND ${readableSql('t.category_id', '$2')}`,
+    [slug, req.user?.id || null]
   );
 
   const thread = threadResult.rows[0];
-  if (!thread) throw new AppError('Thread not found.', 404);
+  if (!thread) {
+    // Merged away? Send the client to the thread it was merged into
+    const redirect = await query(
+      `SELECT t.slug FROM thread_redirects r
+       JOIN threads t ON t.id = r.thread_id
+       WHERE r.slug = $1 AND ${readableSql('t.category_id', '$2')}`,
+      [slug, req.user?.id || null]
+    );
+    if (redirect.rows[0]) return res.redirect(301, `${req.baseUrl}/${redirect.rows[0].slug}`);
+    throw new AppError('Thread not found.', 404);
+  }
 
   // Increment view count (non-blocking — fire and forget)
   query(`UPDATE threads SET view_count = view_count + 1 WHERE id = $1`, [thread.id]);
@@ -119,20 +197,35 @@ const getThread = asyncHandler(async (req, res) => {
 
   if (!post) throw new AppError('Thread content not found.', 404);
 
-  return successResponse(res, { thread, post });
+  // Comments are their own documents — attach them so the
+  // response keeps its { post: { ..., comments } } shape
+  const comments = (await Comment.find({ threadId: thread.id }).sort({ createdAt: 1 })).map(c => c.toJSON());
+
+  ensurePostRendered(post);
+  ensureCommentsRendered(comments);
+  await resolveQuotes(comments);
+
+  return successResponse(res, {
+    thread,
+    post: {
+      ...post.toJSON(),
+      comments,
+      commentCount: comments.filter(c => !c.isDeleted).length,
+    },
+  });
 });
 
 // ── POST /api/threads ────────────────────────────────────
 const createThread = asyncHandler(async (req, res) => {
-  const { title, content, categoryId, tags } = req.body;
+  const { title, content, format, categoryId, tags } = req.body;
   const authorId = req.user.id;
 
-  // Verify category exists
-  const catResult = await query(
-    `SELECT id FROM categories WHERE id = $1 AND status = 'active'`,
-    [categoryId]
-  );
-  if (!catResult.rows[0]) throw new AppError('Category not found or inactive.', 404);
+  // Category must exist, be visible, not archived and allow this user to post
+  await assertCanPost(categoryId, req.user);
+
+  // Canonical names (aliases resolved, blocklist enforced)
+  const tagNames = await resolveTagNames(tags);
+  const mentions = await resolveMentions(content, format);
 
   // Use a PostgreSQL transaction for atomicity
   // If MongoDB insert fails → rollback PostgreSQL insert
@@ -150,6 +243,7 @@ const createThread = asyncHandler(async (req, res) => {
       [title, slugify(title), categoryId, authorId]
     );
     thread = threadResult.rows[0];
+    await setThreadTags(thread.id, tagNames, client);
 
     // 2. Insert post content into MongoDB
     await Post.create({
@@ -158,8 +252,10 @@ const createThread = asyncHandler(async (req, res) => {
         authorId,
         authorUsername: req.user.username,
         content,
+        ...renderedFields(content, format),
+        mentions,
       },
-      tags: tags || [],
+      tags: tagNames,
     });
 
     await client.query('COMMIT');
@@ -173,27 +269,57 @@ const createThread = asyncHandler(async (req, res) => {
   }
 
   logActivity(authorId, 'CREATE_THREAD', `thread:${thread.id}`, { title }, req);
+  notify({ type: 'mention', recipients: mentions, actor: req.user, thread });
 
   return successResponse(res, { thread }, 'Thread created', 201);
 });
 
 // ── PATCH /api/threads/:id ───────────────────────────────
 const updateThread = asyncHandler(async (req, res) => {
-  const { title, content, tags } = req.body;
+  const { title, content, format, tags } = req.body;
   const { id } = req.params;
 
   // Fetch thread to check ownership
   const threadResult = await query(
-    `SELECT id, author_id, title FROM threads WHERE id = $1`,
+    `SELECT id, author_id, title, slug FROM threads WHERE id = $1`,
     [id]
   );
   const thread = threadResult.rows[0];
   if (!thread) throw new AppError('Thread not found.', 404);
 
-  // Only author, moderator, or admin can edit
+  // Only the author or a moderator of this category can edit
   const isOwner = thread.author_id === req.user.id;
-  const isMod   = ['moderator', 'admin'].includes(req.user.role);
-  if (!isOwner && !isMod) throw new AppError('Permission denied.', 403);
+  const isModerator = await canModerateThread(id, req.user);
+  if (!isOwner && !isModerator) throw new AppError('Permission denied.', 403);
+  // Authors need read + write access to the category, and it mustn't be
+  // archived; moderators may still edit (e.g. to redact)
+  if (!isModerator) await assertCanWriteThread(id, req.user);
+
+  // Resolve tags first — a blocklisted tag rejects the whole edit
+  const tagNames = tags ? await resolveTagNames(tags) : null;
+
+  const current = await Post.findOne(
+    { threadId: id },
+    'originalPost.content originalPost.format originalPost.mentions'
+  ).lean();
+  if (!current) throw new AppError('Thread content not found.', 404);
+  const op = current.originalPost;
+
+  // Keep the version being replaced (edit history)
+  const changed = (title && title !== thread.title)
+    || (content && content !== op.content)
+    || (format && format !== (op.format || 'plain'));
+  if (changed) {
+    await recordRevision({
+      docType:  'post',
+      docId:    current._id,
+      threadId: id,
+      editor:   req.user,
+      title:    thread.title,
+      content:  op.content,
+      format:   op.format,
+    });
+  }
 
   // Update thread title in PostgreSQL
   if (title) {
@@ -205,12 +331,19 @@ const updateThread = asyncHandler(async (req, res) => {
 
   // Update content in MongoDB
   const updateFields = {};
-  if (content) {
-    updateFields['originalPost.content'] = content;
+  if (content || format) {
+    const newContent = content || op.content;
+    const newFormat = format || op.format;
+    Object.assign(updateFields, renderedFields(newContent, newFormat, 'originalPost.'));
+    updateFields['originalPost.content'] = newContent;
+    updateFields['originalPost.mentions'] = await resolveMentions(newContent, newFormat);
     updateFields['originalPost.isEdited'] = true;
     updateFields['originalPost.editedAt'] = new Date();
   }
-  if (tags) updateFields.tags = tags;
+  if (tagNames) {
+    updateFields.tags = tagNames;
+    await setThreadTags(id, tagNames);
+  }
 
   const post = await Post.findOneAndUpdate(
     { threadId: id },
@@ -219,6 +352,16 @@ const updateThread = asyncHandler(async (req, res) => {
   );
 
   logActivity(req.user.id, 'UPDATE_THREAD', `thread:${id}`, {}, req);
+  if (updateFields['originalPost.mentions']) {
+    // Only people the edit newly mentions
+    const previous = op.mentions || [];
+    notify({
+      type:       'mention',
+      recipients: updateFields['originalPost.mentions'].filter(userId => !previous.includes(userId)),
+      actor:      req.user,
+      thread:     { ...thread, title: title || thread.title },
+    });
+  }
 
   return successResponse(res, {
     thread: { ...thread, title: title || thread.title },
@@ -227,48 +370,123 @@ const updateThread = asyncHandler(async (req, res) => {
 });
 
 // ── DELETE /api/threads/:id ──────────────────────────────
-// Moderator/Admin only
+// Moderators (global, or of the thread's category) only
 const deleteThread = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const threadResult = await query(`SELECT id FROM threads WHERE id = $1`, [id]);
-  if (!threadResult.rows[0]) throw new AppError('Thread not found.', 404);
-
-  // PostgreSQL CASCADE will handle any FK constraints
-  await query(`DELETE FROM threads WHERE id = $1`, [id]);
-  await Post.deleteOne({ threadId: id });
+  await assertCanModerateThread(id, req.user);
+  const thread = await removeThread(id);
 
   logActivity(req.user.id, 'DELETE_THREAD', `thread:${id}`, {}, req);
+  notifyModeration({
+    recipient: thread.author_id, actor: req.user,
+    thread: { id: thread.id, title: thread.title }, action: 'thread_deleted',
+  });
 
   return successResponse(res, {}, 'Thread deleted');
 });
 
 // ── PATCH /api/threads/:id/pin ───────────────────────────
-// Admin/Moderator only
+// Moderators (global, or of the thread's category) only
 const pinThread = asyncHandler(async (req, res) => {
+  await assertCanModerateThread(req.params.id, req.user);
   const result = await query(
-    `UPDATE threads SET is_pinned = NOT is_pinned WHERE id = $1 RETURNING id, is_pinned`,
+    `UPDATE threads SET is_pinned = NOT is_pinned WHERE id = $1 RETURNING id, title, slug, author_id, is_pinned`,
     [req.params.id]
   );
   if (!result.rows[0]) throw new AppError('Thread not found.', 404);
-  const { is_pinned } = result.rows[0];
+  const { is_pinned, ...thread } = result.rows[0];
+  notifyModeration({
+    recipient: thread.author_id, actor: req.user, thread, action: is_pinned ? 'thread_pinned' : 'thread_unpinned',
+  });
   return successResponse(res, { is_pinned }, `Thread ${is_pinned ? 'pinned' : 'unpinned'}`);
 });
 
 // ── PATCH /api/threads/:id/lock ──────────────────────────
-// Admin/Moderator only
+// Moderators (global, or of the thread's category) only
 const lockThread = asyncHandler(async (req, res) => {
+  await assertCanModerateThread(req.params.id, req.user);
   const result = await query(
-    `UPDATE threads SET is_locked = NOT is_locked WHERE id = $1 RETURNING id, is_locked`,
+    `UPDATE threads SET is_locked = NOT is_locked WHERE id = $1 RETURNING id, title, slug, author_id, is_locked`,
     [req.params.id]
   );
   if (!result.rows[0]) throw new AppError('Thread not found.', 404);
-  const { is_locked } = result.rows[0];
+  const { is_locked, ...thread } = result.rows[0];
+  notifyModeration({
+    recipient: thread.author_id, actor: req.user, thread, action: is_locked ? 'thread_locked' : 'thread_unlocked',
+  });
   return successResponse(res, { is_locked }, `Thread ${is_locked ? 'locked' : 'unlocked'}`);
 });
 
+// ── PATCH /api/threads/:id/move ──────────────────────────
+// Moderators of the thread AND of the target category
+const moveThread = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { categoryId } = req.body;
+
+  await assertCanModerateThread(id, req.user);
+  if (!(await canModerateCategory(categoryId, req.user))) {
+    throw new AppError('Access denied. You are not a moderator of the target category.', 403);
+  }
+
+  const { thread, fromCategoryId } = await threadService.moveThread(id, categoryId);
+
+  logActivity(req.user.id, 'MOVE_THREAD', `thread:${id}`, { from: fromCategoryId, to: categoryId }, req);
+  notifyModeration({
+    recipient: thread.author_id, actor: req.user, thread, action: 'thread_moved', categoryId,
+  });
+
+  return successResponse(res, { thread }, 'Thread moved');
+});
+
+// ── POST /api/threads/:id/merge ──────────────────────────
+// Body: { targetThreadId } — this thread is merged INTO the
+// target and deleted; its slug redirects there
+const mergeThread = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { targetThreadId } = req.body;
+
+  await assertCanModerateThread(id, req.user);
+  await assertCanModerateThread(targetThreadId, req.user);
+
+  const { source, target } = await threadService.mergeThreads(id, targetThreadId);
+
+  logActivity(req.user.id, 'MERGE_THREAD', `thread:${target.id}`, {
+    mergedThreadId: source.id, mergedTitle: source.title,
+  }, req);
+  // The source author's post now lives in the target thread
+  notifyModeration({
+    recipient: source.author_id, actor: req.user, thread: target, action: 'thread_merged', mergedTitle: source.title,
+  });
+
+  return successResponse(res, { thread: target }, 'Threads merged');
+});
+
+// ── POST /api/threads/:threadId/comments/:commentId/split ─
+// Body: { title, categoryId? } — the comment and its replies
+// become a new thread (same category unless given)
+const splitThread = asyncHandler(async (req, res) => {
+  const { threadId, commentId } = req.params;
+  const { title, categoryId } = req.body;
+
+  await assertCanModerateThread(threadId, req.user);
+  if (categoryId && !(await canModerateCategory(categoryId, req.user))) {
+    throw new AppError('Access denied. You are not a moderator of the target category.', 403);
+  }
+
+  const thread = await threadService.splitThread(threadId, commentId, { title, categoryId });
+
+  logActivity(req.user.id, 'SPLIT_THREAD', `thread:${thread.id}`, { fromThreadId: threadId, commentId }, req);
+  notifyModeration({
+    recipient: thread.author_id, actor: req.user, thread, action: 'thread_split', fromThreadId: threadId,
+  });
+
+  return successResponse(res, { thread }, 'Thread split', 201);
+});
+
 module.exports = {
   getThreads, getThread, createThread,
   updateThread, deleteThread,
   pinThread, lockThread,
+  moveThread, mergeThread, splitThread,
 };
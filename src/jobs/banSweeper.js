@@ -0,0 +1,30 @@
+// src/jobs/banSweeper.js
+// ─────────────────────────────────────────────────────────
+// Periodically lifts timed bans whose expires_at has passed
+// (auth checks also lift them lazily — this keeps admin
+// listings and the banned-user count accurate)
+// ─────────────────────────────────────────────────────────
+const logger = require('../config/logger');
+const { sweepExpiredBans } = require('../services/banService');
+
+const INTERVAL_MS = parseInt(process.env.BAN_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+const runSweep = async () => {
+  try {
+    const lifted = await sweepExpiredBans();
+    if (lifted.length) logger.info(`⏱️  Ban sweeper lifted ${lifted.length} expired ban(s)`);
+  } catch (err) {
+    logger.error(`Ban sweeper failed: ${err.message}`);
+  }
+};
+
+/**
+ * Start the sweeper — returns the timer so it can be cleared
+ */
+const startBanSweeper = () => {
+  const timer = setInterval(runSweep, INTERVAL_MS);
+  timer.unref();  // Don't keep the process alive during shutdown
+  return timer;
+};
+
+module.exports = { startBanSweeper, runSweep };
@@ -8,9 +8,13 @@
 //    via the Authorization header: "Bearer <token>"
 // 3. This middleware verifies the token signature
 // 4. If valid → attach user info to req.user and call next()
+//
+// REVOCATION: each JWT carries the user's token_version (`tv`).
+// Bumping users.token_version makes every older token stale.
 // ─────────────────────────────────────────────────────────
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/postgres');
+const { resolveBan } = require('../services/banService');
 
 /**
  * authenticate — verifies JWT token
@@ -40,9 +44,14 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'Invalid token.' });
     }
 
-    // 3. Check user still exists and isn't banned
+    // Scoped tokens (e.g. ban appeal) only work on their own routes
+    if (decoded.scope) {
+      return res.status(401).json({ success: false, message: 'Invalid token.' });
+    }
+
+    // 3. Check user still exists, isn't banned and the token isn't stale
     const result = await query(
-      `SELECT id, username, email, role, is_active, is_banned
+      `SELECT id, username, email, role, token_version, email_verified, is_active, is_banned
        FROM users WHERE id = $1`,
       [decoded.id]
     );
@@ -53,12 +62,27 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'User not found.' });
     }
 
+    // Version bumped since issue (ban, role/password change, logout-all)
+    if (decoded.tv !== user.token_version) {
+      return res.status(401).json({ success: false, message: 'Session revoked. Please log in again.' });
+    }
+
     if (!user.is_active) {
       return res.status(401).json({ success: false, message: 'Account deactivated.' });
     }
 
+    // Flag may be stale — a timed ban that has expired is lifted here
     if (user.is_banned) {
-      return res.status(403).json({ success: false, message: 'Account banned.' });
+      const ban = await resolveBan(user.id);
+      if (ban) {
+        return res.status(403).json({
+          success: false,
+          code: 'ACCOUNT_BANNED',
+          message: 'Account banned.',
+          banExpiresAt: ban.expires_at,
+        });
+      }
+      user.is_banned = false;
     }
 
     // 4. Attach user to request — available in all downstream handlers
@@ -116,11 +140,14 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const result = await query(
-      `SELECT id, username, email, role, is_active, is_banned FROM users WHERE id = $1`,
+      `SELECT id, username, email, role, token_version, email_verified, is_active, is_banned
+       FROM users WHERE id = $1`,
       [decoded.id]
     );
 
-    req.user = result.rows[0] || null;
+    // Stale or scoped tokens are treated like no token at all
+    const user = result.rows[0];
+    req.user = user && !decoded.scope && decoded.tv === user.token_version ? user : null;
     next();
   } catch {
     req.user = null;
@@ -128,4 +155,70 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate, authorize, optionalAuth };
+/**
+ * authenticateBanned — accepts only the limited appeal token that
+ * login hands to banned users (see generateAppealToken)
+ * Attaches req.user and req.activeBan (null if the ban has ended)
+ */
+const authenticateBanned = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, message: 'Access denied. No token provided.' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+    } catch {
+      return res.status(401).json({ success: false, message: 'Invalid or expired appeal token.' });
+    }
+
+    if (decoded.scope !== 'ban_appeal') {
+      return res.status(401).json({ success: false, message: 'Invalid token.' });
+    }
+
+    const result = await query(
+      `SELECT id, username, email, role, token_version, is_active, is_banned
+       FROM users WHERE id = $1`,
+      [decoded.id]
+    );
+    const user = result.rows[0];
+
+    if (!user || decoded.tv !== user.token_version) {
+      return res.status(401).json({ success: false, message: 'Session revoked. Please log in again.' });
+    }
+
+    req.user = user;
+    req.activeBan = user.is_banned ? await resolveBan(user.id) : null;
+    next();
+
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(500).json({ success: false, message: 'Authentication error.' });
+  }
+};
+
+// Policy switch — set REQUIRE_EMAIL_VERIFICATION=false to let
+// unverified accounts post (e.g. private deployments)
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+/**
+ * requireVerifiedEmail — blocks content creation until the user
+ * has confirmed their email address
+ * Usage: router.post('/', authenticate, requireVerifiedEmail, handler)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!REQUIRE_EMAIL_VERIFICATION || req.user?.email_verified) return next();
+
+  return res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address before posting.',
+  });
+};
+
+module.exports = {
+  authenticate, authorize, optionalAuth,
+  authenticateBanned, requireVerifiedEmail,
+};
@@ -9,11 +9,14 @@ const logger = require('../config/logger');
 /**
  * Custom error class for known API errors
  * throw new AppError('Not found', 404) anywhere in the app
+ * Optional `code` gives clients a stable machine-readable reason:
+ * throw new AppError('Verify your email first.', 403, 'EMAIL_NOT_VERIFIED')
  */
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, code = null) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
     this.isOperational = true;  // Distinguishes from programming errors
     Error.captureStackTrace(this, this.constructor);
   }
@@ -47,6 +50,12 @@ const errorHandler = (err, req, res, next) => {
     message = 'Invalid data provided.';
   }
 
+  // PostgreSQL bad input (e.g. a malformed id or timestamp)
+  if (['22P02', '22007', '22008'].includes(err.code)) {
+    statusCode = 400;
+    message = 'Invalid value provided.';
+  }
+
   // MongoDB validation error
   if (err.name === 'ValidationError') {
     statusCode = 400;
@@ -59,6 +68,12 @@ const errorHandler = (err, req, res, next) => {
     message = 'Invalid ID format.';
   }
 
+  // Upload limits (multer)
+  if (err.name === 'MulterError') {
+    statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    message = err.code === 'LIMIT_FILE_SIZE' ? 'File too large.' : err.message;
+  }
+
   // JWT errors (shouldn't reach here but just in case)
   if (err.name === 'JsonWebTokenError') {
     statusCode = 401;
@@ -76,6 +91,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message,
+    ...(err.isOperational && err.code && { code: err.code }),
     // Only show stack trace in development
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
@@ -6,9 +6,12 @@
 const rateLimit = require('express-rate-limit');
 
 // Standard API limiter — 100 requests per 15 minutes
+// Avatar images are exempt (a page can show dozens); their
+// routes use readLimiter instead
 const apiLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
   max:      parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  skip:     (req) => req.method === 'GET' && req.path.startsWith('/v1/avatars/'),
   standardHeaders: true,  // Return rate limit info in headers
   legacyHeaders:   false,
   message: {
@@ -37,4 +40,27 @@ const readLimiter = rateLimit({
   },
 });
 
-module.exports = { apiLimiter, authLimiter, readLimiter };
+// Verification email resends — keyed per account, not per IP
+// Must be mounted after authenticate
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,  // 1 hour
+  max: 3,                    // 3 resends/hour
+  keyGenerator: (req) => req.user.id,
+  message: {
+    success: false,
+    message: 'Too many verification emails requested. Please try again later.',
+  },
+});
+
+// Ban appeals — keyed per account, mounted after authenticateBanned
+const appealLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,  // 1 hour
+  max: 5,
+  keyGenerator: (req) => req.user.id,
+  message: {
+    success: false,
+    message: 'Too many appeal attempts. Please try again later.',
+  },
+});
+
+module.exports = { apiLimiter, authLimiter, readLimiter, verificationLimiter, appealLimiter };
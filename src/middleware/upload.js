@@ -0,0 +1,31 @@
+// src/middleware/upload.js
+// ─────────────────────────────────────────────────────────
+// Multipart file uploads (multer)
+// Files are kept in memory: attachmentService / avatarService
+// sniff their type before anything reaches the storage backend.
+// Size/count limits fail fast here, while the body streams in.
+// ─────────────────────────────────────────────────────────
+const multer = require('multer');
+const { LIMITS } = require('../services/attachmentService');
+const { LIMITS: AVATAR_LIMITS } = require('../services/avatarService');
+
+// Field `files`, up to the per-post limit in one request. Mount
+// after the route's permission check — see attachmentController
+const uploadAttachmentFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: LIMITS.maxFileSize,
+    files:    LIMITS.maxFilesPerDoc,
+  },
+}).array('files', LIMITS.maxFilesPerDoc);
+
+// Field `avatar`, one image
+const uploadAvatarImage = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: AVATAR_LIMITS.maxFileSize,
+    files:    1,
+  },
+}).single('avatar');
+
+module.exports = { uploadAttachmentFiles, uploadAvatarImage };
@@ -40,14 +40,24 @@ const validate = (schema) => (req, res, next) => {
 
 // ── Schemas ──────────────────────────────────────────────
 
+// Shared password policy (register, change, reset)
+const password = Joi.string().min(8).max(100).required()
+  .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .message('Password must contain uppercase, lowercase, and a number');
+
+// Shared tag rule — spaces become hyphens in tagService.normalizeTag
+const tag = Joi.string().trim().min(1).max(30).pattern(/^[\w\s.+#-]+$/)
+  .messages({ 'string.pattern.base': 'Tags may only contain letters, numbers, spaces and . + # -' });
+
+// How post/comment content is rendered (utils/markdown.js)
+const format = Joi.string().valid('plain', 'markdown');
+
 const schemas = {
   // Auth
   register: Joi.object({
     username: Joi.string().alphanum().min(3).max(30).required(),
     email:    Joi.string().email().required(),
-    password: Joi.string().min(8).max(100).required()
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .message('Password must contain uppercase, lowercase, and a number'),
+    password,
     bio:      Joi.string().max(500).optional(),
   }),
 
@@ -56,34 +66,147 @@ const schemas = {
     password: Joi.string().required(),
   }),
 
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required(),
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword:     password,
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required(),
+  }),
+
+  resetPassword: Joi.object({
+    token:    Joi.string().required(),
+    password,
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().required(),
+  }),
+
   // Categories
   createCategory: Joi.object({
     name:        Joi.string().min(3).max(100).required(),
     description: Joi.string().max(500).optional(),
+    parentId:    Joi.string().uuid().allow(null).optional(),
+    position:    Joi.number().integer().min(0).optional(),
+    icon:        Joi.string().max(50).optional(),
+    color:       Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).message('Color must be a hex value like #1e90ff').optional(),
+    readAccess:  Joi.string().valid('everyone', 'members', 'staff', 'groups').optional(),
+    writeAccess: Joi.string().valid('members', 'staff', 'groups').optional(),
+  }),
+
+  updateCategory: Joi.object({
+    name:        Joi.string().min(3).max(100),
+    description: Joi.string().max(500).allow(null),
+    status:      Joi.string().valid('active', 'archived'),
+    parentId:    Joi.string().uuid().allow(null),
+    position:    Joi.number().integer().min(0),
+    icon:        Joi.string().max(50).allow(null),
+    color:       Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).message('Color must be a hex value like #1e90ff').allow(null),
+    readAccess:  Joi.string().valid('everyone', 'members', 'staff', 'groups'),
+    writeAccess: Joi.string().valid('members', 'staff', 'groups'),
+  }).min(1),
+
+  deleteCategory: Joi.object({
+    moveThreadsTo: Joi.string().uuid(),
+    deleteThreads: Joi.boolean(),
+  }).oxor('moveThreadsTo', 'deleteThreads'),
+
+  categoryGroups: Joi.object({
+    groups: Joi.array().items(Joi.object({
+      groupId:    Joi.string().uuid().required(),
+      permission: Joi.string().valid('read', 'write').default('read'),
+    })).unique('groupId').max(50).required(),
+  }),
+
+  createGroup: Joi.object({
+    name:        Joi.string().min(2).max(50).required(),
+    description: Joi.string().max(500).optional(),
+  }),
+
+  groupMember: Joi.object({
+    userId: Joi.string().uuid().required(),
+  }),
+
+  categoryModerator: Joi.object({
+    userId: Joi.string().uuid().required(),
   }),
 
   // Threads
   createThread: Joi.object({
     title:      Joi.string().min(5).max(500).required(),
     content:    Joi.string().min(10).max(50000).required(),
+    format:     format.default('plain'),
+    categoryId: Joi.string().uuid().required(),
+    tags:       Joi.array().items(tag).max(5).optional(),
+  }),
+
+  moveThread: Joi.object({
     categoryId: Joi.string().uuid().required(),
-    tags:       Joi.array().items(Joi.string().max(30)).max(5).optional(),
+  }),
+
+  mergeThread: Joi.object({
+    targetThreadId: Joi.string().uuid().required(),
+  }),
+
+  splitThread: Joi.object({
+    title:      Joi.string().min(5).max(500).required(),
+    categoryId: Joi.string().uuid().optional(),
   }),
 
   updateThread: Joi.object({
     title:   Joi.string().min(5).max(500).optional(),
     content: Joi.string().min(10).max(50000).optional(),
-    tags:    Joi.array().items(Joi.string().max(30)).max(5).optional(),
+    format:  format.optional(),
+    tags:    Joi.array().items(tag).max(5).optional(),
   }).min(1),  // At least one field required
 
   // Comments
   createComment: Joi.object({
     content:         Joi.string().min(1).max(5000).required(),
+    format:          format.default('plain'),
     parentCommentId: Joi.string().optional().allow(null),
+    // Quote-reply: another comment in this thread, optionally an excerpt of it
+    quote: Joi.object({
+      commentId: Joi.string().hex().length(24).required(),
+      text:      Joi.string().trim().min(1).max(5000).optional(),
+    }).optional(),
   }),
 
   updateComment: Joi.object({
     content: Joi.string().min(1).max(5000).required(),
+    format:  format.optional(),  // Keeps the current one if left out
+  }),
+
+  // Voting — 1 up, -1 down, 0 clears
+  vote: Joi.object({
+    value: Joi.number().integer().valid(1, -1, 0).required(),
+  }),
+
+  // Reports
+  reportContent: Joi.object({
+    reason:  Joi.string()
+      .valid('spam', 'harassment', 'hate', 'nsfw', 'misinformation', 'off_topic', 'other')
+      .required(),
+    details: Joi.string().max(1000).optional().allow(''),
+  }),
+
+  handleReport: Joi.object({
+    decision:      Joi.string().valid('resolve', 'dismiss').required(),
+    // Escalations only make sense when resolving
+    deleteContent: Joi.boolean().default(false)
+      .when('decision', { is: 'dismiss', then: Joi.valid(false) }),
+    ban: Joi.object({
+      reason:    Joi.string().min(5).max(500).required(),
+      expiresAt: Joi.date().greater('now').optional().allow(null),
+    }).optional()
+      .when('decision', { is: 'dismiss', then: Joi.forbidden() }),
+    note: Joi.string().max(1000).optional(),
   }),
 
   // User management (admin)
@@ -92,6 +215,39 @@ const schemas = {
     expiresAt: Joi.date().greater('now').optional().allow(null),
   }),
 
+  unbanUser: Joi.object({
+    reason: Joi.string().max(500).optional(),
+  }),
+
+  // Ban appeals
+  fileAppeal: Joi.object({
+    message: Joi.string().min(20).max(2000).required(),
+  }),
+
+  decideAppeal: Joi.object({
+    decision: Joi.string().valid('accept', 'reject').required(),
+    note:     Joi.string().max(1000).optional(),
+  }),
+
+  // Tag management
+  renameTag: Joi.object({
+    name:      tag.required(),
+    keepAlias: Joi.boolean().default(true),
+  }),
+
+  mergeTag: Joi.object({
+    targetTagId: Joi.string().uuid().required(),
+  }),
+
+  tagAlias: Joi.object({
+    alias: tag.required(),
+  }),
+
+  blockTag: Joi.object({
+    name:   tag.required(),
+    reason: Joi.string().max(500).optional(),
+  }),
+
   changeRole: Joi.object({
     role: Joi.string().valid('user', 'moderator', 'admin').required(),
   }),
@@ -100,6 +256,15 @@ const schemas = {
     bio:      Joi.string().max(500).optional().allow(''),
     username: Joi.string().alphanum().min(3).max(30).optional(),
   }).min(1),
+
+  // Notification types on/off (services/notificationService.js)
+  notificationPreferences: Joi.object({
+    thread_reply:  Joi.boolean(),
+    comment_reply: Joi.boolean(),
+    mention:       Joi.boolean(),
+    upvote:        Joi.boolean(),
+    moderation:    Joi.boolean(),
+  }).min(1),
 };
 
 // Export both the factory and schemas
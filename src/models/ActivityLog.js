@@ -14,11 +14,21 @@ const ActivityLogSchema = new mongoose.Schema({
     enum: [
       'LOGIN', 'LOGOUT', 'REGISTER',
       'CREATE_THREAD', 'UPDATE_THREAD', 'DELETE_THREAD',
+      'MOVE_THREAD', 'MERGE_THREAD', 'SPLIT_THREAD',
       'CREATE_COMMENT', 'UPDATE_COMMENT', 'DELETE_COMMENT',
-      'UPVOTE_POST', 'UPVOTE_COMMENT',
+      'RESTORE_REVISION',
+      'UPLOAD_ATTACHMENT', 'DELETE_ATTACHMENT',
+      'UPVOTE_POST', 'UPVOTE_COMMENT', 'VOTE_POST', 'VOTE_COMMENT',
       'BAN_USER', 'UNBAN_USER',
-      'CHANGE_ROLE', 'UPDATE_PROFILE',
-      'CREATE_CATEGORY', 'UPDATE_CATEGORY',
+      'FILE_APPEAL', 'ACCEPT_APPEAL', 'REJECT_APPEAL',
+      'REPORT_CONTENT', 'RESOLVE_REPORT', 'DISMISS_REPORT',
+      'CHANGE_ROLE', 'UPDATE_PROFILE', 'UPDATE_AVATAR', 'REMOVE_AVATAR',
+      'CHANGE_PASSWORD', 'REQUEST_PASSWORD_RESET', 'RESET_PASSWORD',
+      'VERIFY_EMAIL',
+      'CREATE_CATEGORY', 'UPDATE_CATEGORY', 'DELETE_CATEGORY',
+      'RENAME_TAG', 'MERGE_TAG', 'ADD_TAG_ALIAS', 'REMOVE_TAG_ALIAS', 'BLOCK_TAG', 'UNBLOCK_TAG',
+      'CREATE_GROUP', 'DELETE_GROUP', 'ADD_GROUP_MEMBER', 'REMOVE_GROUP_MEMBER',
+      'ADD_CATEGORY_MODERATOR', 'REMOVE_CATEGORY_MODERATOR',
     ],
   },
   resource: { type: String },  // e.g. 'thread:abc123'
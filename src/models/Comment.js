@@ -0,0 +1,82 @@
+// src/models/Comment.js
+// ─────────────────────────────────────────────────────────
+// MongoDB schema for thread comments
+//
+// WHY NOT EMBEDDED IN POST?
+// • A busy thread would grow toward the 16 MB document limit
+// • Every create/edit/vote rewrote the whole discussion
+// • One document per comment → writes touch only that comment
+//
+// Comments stay flat: parentCommentId rebuilds the tree.
+// Older databases: run `npm run db:migrate-comments` once.
+// ─────────────────────────────────────────────────────────
+const mongoose = require('mongoose');
+const voteFields = require('./voteFields');
+
+// Snapshot of the comment being quoted (services/quoteService.js)
+const QuoteSchema = new mongoose.Schema({
+  commentId:      { type: mongoose.Schema.Types.ObjectId, required: true },
+  authorId:       { type: String },
+  authorUsername: { type: String },
+  content:        { type: String },   // The quoted text, as it was
+  quotedAt:       { type: Date },
+}, { _id: false });
+
+const CommentSchema = new mongoose.Schema({
+  threadId: {
+    type: String,      // UUID from PostgreSQL threads table
+    required: true,
+  },
+  authorId: {
+    type: String,      // UUID from PostgreSQL users table
+    required: true,
+    index: true,
+  },
+  authorUsername: {
+    type: String,
+    required: true,
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: [5000, 'Comment too long'],
+  },
+  // Rendered, sanitised HTML of `content` (utils/markdown.js)
+  format:        { type: String, enum: ['plain', 'markdown'], default: 'plain' },
+  contentHtml:   { type: String },
+  renderVersion: { type: Number },
+  mentions:      [{ type: String }],   // Ids of @mentioned users
+  quote:         { type: QuoteSchema, default: null },
+  parentCommentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,     // null = top-level comment
+  },
+  isEdited: { type: Boolean, default: false },
+  editedAt: { type: Date },
+  isDeleted: { type: Boolean, default: false },  // Soft delete
+  deletedAt: { type: Date },
+  ...voteFields,
+  attachments: [{       // Mirrors PostgreSQL `attachments` (see attachmentService)
+    _id:      false,
+    id:       String,
+    url:      String,
+    filename: String,
+    mimetype: String,
+    size:     Number,
+  }],
+}, {
+  timestamps: true,  // Adds createdAt, updatedAt automatically
+  versionKey: false, // Same JSON shape as the old embedded comments
+});
+
+// ── INDEXES ─────────────────────────────────────────────
+// A thread's comments in posting order
+CommentSchema.index({ threadId: 1, createdAt: 1 });
+// Replies to one comment
+CommentSchema.index({ threadId: 1, parentCommentId: 1, createdAt: 1 });
+// Text search on comment content (see services/searchService.js)
+CommentSchema.index({ content: 'text' });
+// Replies quoting a comment
+CommentSchema.index({ 'quote.commentId': 1 }, { sparse: true });
+
+module.exports = mongoose.model('Comment', CommentSchema);
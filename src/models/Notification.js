@@ -0,0 +1,54 @@
+// src/models/Notification.js
+// ─────────────────────────────────────────────────────────
+// MongoDB schema for in-app notifications
+// One document per notification per recipient. Upvotes are
+// batched: while a user hasn't read it, every new upvote on the
+// same post/comment joins one document (groupKey) instead of
+// adding another.
+// ─────────────────────────────────────────────────────────
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  userId: { type: String, required: true },  // Recipient
+  type:   {
+    type: String,
+    enum: ['thread_reply', 'comment_reply', 'mention', 'upvote', 'moderation'],
+    required: true,
+  },
+
+  // Who triggered it — for batched upvotes, the latest voter
+  actorId:       { type: String, default: null },
+  actorUsername: { type: String, default: null },
+  actorIds:      { type: [String], default: undefined },  // Batched upvotes only
+
+  // Where — a snapshot, so deleted threads still read sensibly
+  threadId:    { type: String, default: null },
+  threadTitle: { type: String, default: null },
+  threadSlug:  { type: String, default: null },
+  commentId:   { type: String, default: null },
+
+  data:     { type: mongoose.Schema.Types.Mixed, default: {} },  // Type-specific, e.g. moderation action
+  groupKey: { type: String, default: null },                     // Batching key, e.g. 'upvote:comment:<id>'
+
+  isRead: { type: Boolean, default: false },
+  readAt: { type: Date, default: null },
+}, {
+  timestamps: true,  // updatedAt = last activity (batched upvotes bump it)
+  versionKey: false,
+});
+
+// ── INDEXES ─────────────────────────────────────────────
+// A user's feed, newest activity first (+ unread only)
+NotificationSchema.index({ userId: 1, updatedAt: -1 });
+NotificationSchema.index({ userId: 1, isRead: 1, updatedAt: -1 });
+// One open (unread) batch per user per target
+NotificationSchema.index(
+  { userId: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { isRead: false, groupKey: { $type: 'string' } } }
+);
+// Cleanup when a thread is deleted
+NotificationSchema.index({ threadId: 1 });
+// TTL: notifications expire 90 days after their last activity
+NotificationSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7776000 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,42 @@
+// src/models/Revision.js
+// ─────────────────────────────────────────────────────────
+// MongoDB schema for edit history
+// One document per edit, holding the version it REPLACED:
+// previous content (+ title for opening posts), who made the
+// edit and when (createdAt). The live version stays in
+// Post / Comment.
+//
+// Keyed by docId (the Post or Comment _id), not the thread:
+// merge/split keep _ids, so history follows the content.
+// ─────────────────────────────────────────────────────────
+const mongoose = require('mongoose');
+
+const RevisionSchema = new mongoose.Schema({
+  docType: {
+    type: String,
+    enum: ['post', 'comment'],
+    required: true,
+  },
+  docId: {
+    type: mongoose.Schema.Types.ObjectId,   // Post._id or Comment._id
+    required: true,
+  },
+  threadId:       { type: String, required: true },  // Kept current by merge/split
+  editorId:       { type: String, required: true },  // Who made the edit
+  editorUsername: { type: String, required: true },
+  title:          { type: String },                  // Opening posts only
+  content:        { type: String, required: true },
+  format:         { type: String, enum: ['plain', 'markdown'], default: 'plain' },
+  restoredFrom:   { type: mongoose.Schema.Types.ObjectId, default: null },  // Edit was a restore
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+});
+
+// ── INDEXES ─────────────────────────────────────────────
+// A document's history in order
+RevisionSchema.index({ docId: 1, createdAt: 1 });
+// Cleanup when a thread is deleted
+RevisionSchema.index({ threadId: 1 });
+
+module.exports = mongoose.model('Revision', RevisionSchema);
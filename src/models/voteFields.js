@@ -0,0 +1,18 @@
+// src/models/voteFields.js
+// ─────────────────────────────────────────────────────────
+// Vote fields shared by Post.originalPost and Comment
+// Direction is stored per user: upvotedBy / downvotedBy.
+// score = upvotes - downvotes (stored so it can be sorted on;
+// run `npm run db:backfill-votes` once for older documents)
+// Votes are written atomically by services/voteService.js —
+// never mutate these fields and save() the whole document
+// ─────────────────────────────────────────────────────────
+const voteFields = {
+  upvotes:     { type: Number, default: 0 },
+  downvotes:   { type: Number, default: 0 },
+  score:       { type: Number, default: 0 },
+  upvotedBy:   [{ type: String }],  // Array of user UUIDs
+  downvotedBy: [{ type: String }],
+};
+
+module.exports = voteFields;
@@ -5,9 +5,19 @@ const router  = express.Router();
 
 const {
   getUsers, getUserById,
-  banUser, unbanUser, changeRole,
+  banUser, unbanUser, getUserBans, changeRole,
   getDashboardStats, getActivityLog,
 } = require('../controllers/adminController');
+const { getAppeals, decideAppeal } = require('../controllers/appealController');
+const { getAllCategories } = require('../controllers/categoryController');
+const {
+  renameTag, mergeTag, addAlias, removeAlias,
+  getBlocklist, blockTag, unblockTag,
+} = require('../controllers/tagController');
+const {
+  getGroups, createGroup, deleteGroup,
+  getGroupMembers, addGroupMember, removeGroupMember,
+} = require('../controllers/groupController');
 
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate, schemas }       = require('../middleware/validate');
@@ -23,7 +33,32 @@ router.get('/activity', getActivityLog);
 router.get('/users',            getUsers);
 router.get('/users/:userId',    getUserById);
 router.post('/users/:userId/ban',   validate(schemas.banUser),    banUser);
-router.post('/users/:userId/unban', unbanUser);
+router.post('/users/:userId/unban', validate(schemas.unbanUser),  unbanUser);
+router.get('/users/:userId/bans',   getUserBans);
 router.patch('/users/:userId/role', validate(schemas.changeRole), changeRole);
 
+// Ban appeals queue
+router.get('/appeals',                       getAppeals);
+router.post('/appeals/:appealId/decision',   validate(schemas.decideAppeal), decideAppeal);
+
+// Categories (incl. archived — the rest lives under /categories)
+router.get('/categories', getAllCategories);
+
+// Tag management (rewrites existing threads)
+router.get('/tags/blocklist',            getBlocklist);
+router.post('/tags/blocklist',           validate(schemas.blockTag),  blockTag);
+router.delete('/tags/blocklist/:name',   unblockTag);
+router.delete('/tags/aliases/:alias',    removeAlias);
+router.patch('/tags/:tagId',             validate(schemas.renameTag), renameTag);
+router.post('/tags/:tagId/merge',        validate(schemas.mergeTag),  mergeTag);
+router.post('/tags/:tagId/aliases',      validate(schemas.tagAlias),  addAlias);
+
+// User groups (for categories with 'groups' access)
+router.get('/groups',                             getGroups);
+router.post('/groups',                            validate(schemas.createGroup), createGroup);
+router.delete('/groups/:groupId',                 deleteGroup);
+router.get('/groups/:groupId/members',            getGroupMembers);
+router.post('/groups/:groupId/members',           validate(schemas.groupMember), addGroupMember);
+router.delete('/groups/:groupId/members/:userId', removeGroupMember);
+
 module.exports = router;
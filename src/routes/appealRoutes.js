@@ -0,0 +1,16 @@
+// src/routes/appealRoutes.js
+// Banned users only — authenticated with the limited appeal token from login
+const express = require('express');
+const router  = express.Router();
+
+const { fileAppeal, getMyAppeals } = require('../controllers/appealController');
+const { authenticateBanned } = require('../middleware/auth');
+const { validate, schemas }  = require('../middleware/validate');
+const { appealLimiter }      = require('../middleware/rateLimiter');
+
+router.use(authenticateBanned);
+
+router.get('/mine', getMyAppeals);
+router.post('/',    appealLimiter, validate(schemas.fileAppeal), fileAppeal);
+
+module.exports = router;
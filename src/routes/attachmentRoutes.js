@@ -0,0 +1,17 @@
+// src/routes/attachmentRoutes.js
+// Downloading and removing attachments — uploads are nested
+// under the thread/comment they belong to (threadRoutes)
+const express = require('express');
+const router  = express.Router();
+
+const {
+  getAttachmentUsage, downloadAttachment, deleteAttachment,
+} = require('../controllers/attachmentController');
+
+const { authenticate, optionalAuth } = require('../middleware/auth');
+
+router.get('/usage', authenticate, getAttachmentUsage);  // Your quota + limits
+router.get('/:id',   optionalAuth, downloadAttachment);  // Anyone who can read the thread
+router.delete('/:id', authenticate, deleteAttachment);   // Uploader, author or mod
+
+module.exports = router;
@@ -2,17 +2,34 @@
 const express = require('express');
 const router  = express.Router();
 
-const { register, login, getMe, updateProfile } = require('../controllers/authController');
+const {
+  register, login, refresh, logout, logoutAll,
+  getMe, updateProfile,
+  changePassword, forgotPassword, resetPassword,
+  verifyEmail, resendVerification,
+} = require('../controllers/authController');
+const { uploadAvatar, deleteAvatar } = require('../controllers/avatarController');
 const { authenticate }            = require('../middleware/auth');
 const { validate, schemas }       = require('../middleware/validate');
-const { authLimiter }             = require('../middleware/rateLimiter');
+const { uploadAvatarImage }       = require('../middleware/upload');
+const { authLimiter, verificationLimiter } = require('../middleware/rateLimiter');
 
 // Public routes (with auth rate limiting)
 router.post('/register', authLimiter, validate(schemas.register), register);
 router.post('/login',    authLimiter, validate(schemas.login),    login);
+router.post('/refresh',  authLimiter, validate(schemas.refreshToken), refresh);
+router.post('/logout',   authLimiter, validate(schemas.refreshToken), logout);
+router.post('/forgot-password', authLimiter, validate(schemas.forgotPassword), forgotPassword);
+router.post('/reset-password',  authLimiter, validate(schemas.resetPassword),  resetPassword);
+router.post('/verify-email',    authLimiter, validate(schemas.verifyEmail),    verifyEmail);
 
 // Protected routes
 router.get('/me',     authenticate, getMe);
 router.patch('/profile', authenticate, validate(schemas.updateProfile), updateProfile);
+router.put('/avatar',    authenticate, uploadAvatarImage, uploadAvatar);  // multipart, field `avatar`
+router.delete('/avatar', authenticate, deleteAvatar);                    // Back to the identicon
+router.patch('/password', authenticate, validate(schemas.changePassword), changePassword);
+router.post('/logout-all', authenticate, logoutAll);
+router.post('/resend-verification', authenticate, verificationLimiter, resendVerification);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+// src/routes/avatarRoutes.js
+// Public avatar images — uploads go through PUT /auth/avatar
+const express = require('express');
+const router  = express.Router();
+
+const { getIdenticon, getAvatar } = require('../controllers/avatarController');
+const { readLimiter } = require('../middleware/rateLimiter');
+
+router.get('/:userId/identicon', readLimiter, getIdenticon);  // Generated default
+router.get('/:userId/:version',  readLimiter, getAvatar);     // Uploaded image
+
+module.exports = router;
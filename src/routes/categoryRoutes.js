@@ -2,15 +2,26 @@
 const express = require('express');
 const router  = express.Router();
 
-const { getCategories, getCategory, createCategory, updateCategory } = require('../controllers/categoryController');
-const { authenticate, authorize } = require('../middleware/auth');
-const { validate, schemas }       = require('../middleware/validate');
+const {
+  getCategories, getCategory, createCategory, updateCategory, deleteCategory,
+  getCategoryGroups, setCategoryGroups,
+  getCategoryModerators, addCategoryModerator, removeCategoryModerator,
+} = require('../controllers/categoryController');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { validate, schemas }                     = require('../middleware/validate');
 
-router.get('/',      getCategories);
-router.get('/:slug', getCategory);
+// Auth optional — private categories are only listed for those who can read them
+router.get('/',      optionalAuth, getCategories);
+router.get('/:slug', optionalAuth, getCategory);
 
 // Admin only
 router.post('/',    authenticate, authorize('admin'), validate(schemas.createCategory), createCategory);
-router.patch('/:id', authenticate, authorize('admin'), updateCategory);
+router.patch('/:id',  authenticate, authorize('admin'), validate(schemas.updateCategory), updateCategory);
+router.delete('/:id', authenticate, authorize('admin'), validate(schemas.deleteCategory), deleteCategory);
+router.get('/:id/groups', authenticate, authorize('admin'), getCategoryGroups);
+router.put('/:id/groups', authenticate, authorize('admin'), validate(schemas.categoryGroups), setCategoryGroups);
+router.get('/:id/moderators',            authenticate, authorize('admin'), getCategoryModerators);
+router.post('/:id/moderators',           authenticate, authorize('admin'), validate(schemas.categoryModerator), addCategoryModerator);
+router.delete('/:id/moderators/:userId', authenticate, authorize('admin'), removeCategoryModerator);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+// src/routes/moderationRoutes.js
+// ALL routes here require: authenticated + moderator or admin role
+const express = require('express');
+const router  = express.Router();
+
+const { getReports, handleReport } = require('../controllers/reportController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, schemas }       = require('../middleware/validate');
+
+router.use(authenticate, authorize('moderator', 'admin'));
+
+// Reports queue
+router.get('/reports',             getReports);
+router.patch('/reports/:reportId', validate(schemas.handleReport), handleReport);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// src/routes/notificationRoutes.js
+// The signed-in user's own notifications
+const express = require('express');
+const router  = express.Router();
+
+const {
+  getNotifications, getUnreadCount,
+  markNotificationRead, markAllNotificationsRead,
+  getNotificationPreferences, updateNotificationPreferences,
+} = require('../controllers/notificationController');
+const { authenticate }      = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+
+router.use(authenticate);
+
+router.get('/',             getNotifications);   // ?unread=true
+router.get('/unread-count', getUnreadCount);
+router.post('/read-all',    markAllNotificationsRead);
+router.get('/preferences',  getNotificationPreferences);
+router.patch('/preferences', validate(schemas.notificationPreferences), updateNotificationPreferences);
+router.patch('/:id/read',   markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// src/routes/searchRoutes.js
+const express = require('express');
+const router  = express.Router();
+
+const { search } = require('../controllers/searchController');
+const { optionalAuth } = require('../middleware/auth');
+
+router.get('/', optionalAuth, search);  // Unified search (public)
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// src/routes/tagRoutes.js
+// Public tag browsing — management lives under /admin/tags
+const express = require('express');
+const router  = express.Router();
+
+const { getTags } = require('../controllers/tagController');
+const { optionalAuth } = require('../middleware/auth');
+
+router.get('/', optionalAuth, getTags);  // Tags + usage counts (public)
+
+module.exports = router;
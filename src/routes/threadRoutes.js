@@ -6,31 +6,52 @@ const {
   getThreads, getThread, createThread,
   updateThread, deleteThread,
   pinThread, lockThread,
+  moveThread, mergeThread, splitThread,
 } = require('../controllers/threadController');
 
 const {
-  createComment, updateComment, deleteComment,
+  getComments, createComment, updateComment, deleteComment,
+  getCommentQuotes,
+  voteThread, voteComment,
   upvoteThread, upvoteComment,
 } = require('../controllers/commentController');
 
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { reportThread, reportComment } = require('../controllers/reportController');
+
+const {
+  getThreadRevisions, getCommentRevisions,
+  restoreThreadRevision, restoreCommentRevision,
+} = require('../controllers/revisionController');
+
+const {
+  authorizeThreadUpload, authorizeCommentUpload, uploadAttachments,
+} = require('../controllers/attachmentController');
+
+const { authenticate, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validate');
+const { uploadAttachmentFiles } = require('../middleware/upload');
 
 // ── Thread Routes ──────────────────────────────────────────────────────────
 router.get('/',     optionalAuth, getThreads);               // List (public, auth optional)
 router.get('/:slug', optionalAuth, getThread);               // Single thread (public)
 
-router.post('/',    authenticate, validate(schemas.createThread),  createThread);   // Create (auth)
+router.post('/',    authenticate, requireVerifiedEmail, validate(schemas.createThread), createThread); // Create (verified)
 router.patch('/:id', authenticate, validate(schemas.updateThread), updateThread);   // Edit (owner/mod)
-router.delete('/:id', authenticate, authorize('moderator', 'admin'), deleteThread); // Delete (mod+)
+router.delete('/:id', authenticate, deleteThread);                                   // Delete (mod+)
 
-// Moderation
-router.patch('/:id/pin',  authenticate, authorize('moderator', 'admin'), pinThread);
-router.patch('/:id/lock', authenticate, authorize('moderator', 'admin'), lockThread);
+// Moderation — global or category moderators (checked in the controller)
+router.patch('/:id/pin',  authenticate, pinThread);
+router.patch('/:id/lock', authenticate, lockThread);
+router.patch('/:id/move', authenticate, validate(schemas.moveThread),  moveThread);
+router.post('/:id/merge', authenticate, validate(schemas.mergeThread), mergeThread);
+router.post('/:threadId/comments/:commentId/split', authenticate, validate(schemas.splitThread), splitThread);
 
 // ── Comment Routes (nested under thread) ────────────────────────────────────
+router.get('/:threadId/comments', optionalAuth, getComments);  // Comment tree (public)
+
 router.post('/:threadId/comments',
   authenticate,
+  requireVerifiedEmail,
   validate(schemas.createComment),
   createComment
 );
@@ -46,8 +67,43 @@ router.delete('/:threadId/comments/:commentId',
   deleteComment
 );
 
+router.get('/:threadId/comments/:commentId/quotes', optionalAuth, getCommentQuotes);  // Replies quoting it
+
 // ── Voting Routes ────────────────────────────────────────────────────────────
+router.post('/:threadId/vote', authenticate, validate(schemas.vote), voteThread);
+router.post('/:threadId/comments/:commentId/vote', authenticate, validate(schemas.vote), voteComment);
+
+// Legacy upvote toggles
 router.post('/:threadId/upvote', authenticate, upvoteThread);
 router.post('/:threadId/comments/:commentId/upvote', authenticate, upvoteComment);
 
+// ── Edit History ─────────────────────────────────────────────────────────────
+// View: author or moderator. Restore: moderator
+router.get('/:id/revisions', authenticate, getThreadRevisions);
+router.post('/:id/revisions/:revisionId/restore', authenticate, restoreThreadRevision);
+router.get('/:threadId/comments/:commentId/revisions', authenticate, getCommentRevisions);
+router.post('/:threadId/comments/:commentId/revisions/:revisionId/restore', authenticate, restoreCommentRevision);
+
+// ── Attachments ──────────────────────────────────────────────────────────────
+// multipart/form-data, field `files`. Author or moderator —
+// checked before the body is read
+router.post('/:threadId/attachments',
+  authenticate,
+  requireVerifiedEmail,
+  authorizeThreadUpload,
+  uploadAttachmentFiles,
+  uploadAttachments
+);
+router.post('/:threadId/comments/:commentId/attachments',
+  authenticate,
+  requireVerifiedEmail,
+  authorizeCommentUpload,
+  uploadAttachmentFiles,
+  uploadAttachments
+);
+
+// ── Report Routes ────────────────────────────────────────────────────────────
+router.post('/:threadId/report', authenticate, validate(schemas.reportContent), reportThread);
+router.post('/:threadId/comments/:commentId/report', authenticate, validate(schemas.reportContent), reportComment);
+
 module.exports = router;
@@ -0,0 +1,41 @@
+// src/scripts/backfillThreadTags.js
+// ─────────────────────────────────────────────────────────
+// One-off: copy tags stored on MongoDB posts into the
+// PostgreSQL tags / thread_tags tables (GET /tags and
+// GET /threads?tag= read from there)
+// Posts are rewritten with the normalized names too.
+// Run with: npm run db:backfill-tags   (safe to re-run)
+// ─────────────────────────────────────────────────────────
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectMongoDB = require('../config/mongodb');
+const { query, pool } = require('../config/postgres');
+const Post = require('../models/Post');
+const { normalizeTag, setThreadTags } = require('../services/tagService');
+
+const backfillThreadTags = async () => {
+  await connectMongoDB();
+
+  let threads = 0;
+  const cursor = Post.find({ 'tags.0': { $exists: true } }, 'threadId tags').lean().cursor();
+
+  for await (const post of cursor) {
+    const exists = await query(`SELECT 1 FROM threads WHERE id = $1`, [post.threadId]);
+    if (!exists.rows[0]) continue;
+
+    // Aliases/blocklist don't exist yet on a first run — normalize only
+    const names = [...new Set(post.tags.map(normalizeTag).filter(Boolean))];
+    await setThreadTags(post.threadId, names);
+    await Post.updateOne({ _id: post._id }, { $set: { tags: names } });
+    threads += 1;
+  }
+
+  console.log(`✅ Tags backfilled for ${threads} thread(s)`);
+};
+
+backfillThreadTags()
+  .catch((err) => {
+    console.error('❌ Backfill failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => Promise.all([mongoose.connection.close(), pool.end()]));
@@ -0,0 +1,56 @@
+// src/scripts/backfillVoteScores.js
+// ─────────────────────────────────────────────────────────
+// One-off: fill in downvotes/score on posts and comments
+// written before downvoting existed (score = upvotes - downvotes)
+// Run with: npm run db:backfill-votes   (safe to re-run;
+// run db:migrate-comments first on databases that predate it)
+// ─────────────────────────────────────────────────────────
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectMongoDB = require('../config/mongodb');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+const backfillVoteScores = async () => {
+  await connectMongoDB();
+
+  // Pipeline updates: compute each score from the stored counts
+  const posts = await Post.collection.updateMany({}, [
+    {
+      $set: {
+        'originalPost.downvotes':   { $ifNull: ['$originalPost.downvotes', 0] },
+        'originalPost.downvotedBy': { $ifNull: ['$originalPost.downvotedBy', []] },
+        'originalPost.score': {
+          $subtract: [
+            { $ifNull: ['$originalPost.upvotes', 0] },
+            { $ifNull: ['$originalPost.downvotes', 0] },
+          ],
+        },
+      },
+    },
+  ]);
+
+  const comments = await Comment.collection.updateMany({}, [
+    {
+      $set: {
+        downvotes:   { $ifNull: ['$downvotes', 0] },
+        downvotedBy: { $ifNull: ['$downvotedBy', []] },
+        score: {
+          $subtract: [
+            { $ifNull: ['$upvotes', 0] },
+            { $ifNull: ['$downvotes', 0] },
+          ],
+        },
+      },
+    },
+  ]);
+
+  console.log(`✅ Vote scores backfilled on ${posts.modifiedCount} post(s), ${comments.modifiedCount} comment(s)`);
+};
+
+backfillVoteScores()
+  .catch((err) => {
+    console.error('❌ Backfill failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,63 @@
+// src/scripts/migrateComments.js
+// ─────────────────────────────────────────────────────────
+// One-off: move comments embedded in Post.comments into the
+// comments collection (one document per comment)
+// • Comment _ids are kept, so URLs and reports still resolve
+// • Posts are handled one at a time — memory stays flat
+// Run with: npm run db:migrate-comments   (safe to re-run)
+// ─────────────────────────────────────────────────────────
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectMongoDB = require('../config/mongodb');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+const migrateComments = async () => {
+  await connectMongoDB();
+  await Comment.syncIndexes();
+
+  let posts = 0;
+  let comments = 0;
+
+  // Raw collection: `comments` is no longer part of the Post schema
+  const cursor = Post.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { threadId: 1, comments: 1 } }
+  );
+
+  for await (const post of cursor) {
+    const ops = post.comments.map((c) => ({
+      updateOne: {
+        filter: { _id: c._id },
+        update: {
+          $setOnInsert: {
+            ...c,
+            threadId:    post.threadId,
+            upvotes:     c.upvotes || 0,
+            downvotes:   c.downvotes || 0,
+            score:       (c.upvotes || 0) - (c.downvotes || 0),
+            upvotedBy:   c.upvotedBy || [],
+            downvotedBy: c.downvotedBy || [],
+          },
+        },
+        upsert: true,
+      },
+    }));
+
+    // Upsert-by-_id: re-running never duplicates a comment
+    await Comment.collection.bulkWrite(ops, { ordered: false });
+    await Post.collection.updateOne({ _id: post._id }, { $unset: { comments: '' } });
+
+    posts += 1;
+    comments += ops.length;
+  }
+
+  console.log(`✅ Moved ${comments} comment(s) out of ${posts} post(s)`);
+};
+
+migrateComments()
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
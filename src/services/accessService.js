@@ -0,0 +1,197 @@
+// src/services/accessService.js
+// ─────────────────────────────────────────────────────────
+// Per-category permissions
+//
+// read_access:  everyone | members (logged in) | staff | groups
+// write_access: members | staff | groups  — threads AND comments
+// 'groups' → members of a group granted on category_groups
+// ('write' grants imply read). Moderators and admins pass
+// everything; category moderators pass in the categories
+// they moderate.
+//
+// Moderation: global moderators/admins everywhere, category
+// moderators (category_moderators) in their categories and
+// every subcategory below them.
+//
+// A category is readable only if every ancestor is too, and
+// unreadable categories behave as if they don't exist (404,
+// never listed, never searched).
+//
+// Archived categories (or anything below one) stay readable
+// but nobody can post in them.
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const { AppError } = require('../middleware/errorHandler');
+
+const STAFF_ROLES  = ['moderator', 'admin'];
+
+const ARCHIVED_MESSAGE = 'This category is archived and read-only.';
+
+const isStaff = (user) => Boolean(user) && STAFF_ROLES.includes(user.role);
+
+// CTE `ancestors`: the category `categoryExpr` and every parent above it
+const ancestorsCte = (categoryExpr) => `WITH RECURSIVE ancestors AS (
+    SELECT id, parent_id, status FROM categories WHERE id = ${categoryExpr}
+    UNION ALL
+    SELECT c.id, c.parent_id, c.status FROM categories c JOIN ancestors a ON c.id = a.parent_id
+  )`;
+
+/**
+ * SQL condition: user `userParam` is a category moderator of
+ * `categoryExpr` or one of its ancestors
+ */
+const moderatesSql = (categoryExpr, userParam) => `EXISTS (
+  ${ancestorsCte(categoryExpr)}
+  SELECT 1 FROM category_moderators cm
+  JOIN ancestors a ON a.id = cm.category_id
+  WHERE cm.user_id = ${userParam}::UUID
+)`;
+
+/**
+ * SQL condition: viewer `userParam` (UUID or NULL for guests)
+ * passes category `alias`'s own read or write rule (ancestors'
+ * rules are readableSql's job)
+ * @param {'read'|'write'} level
+ */
+const passesSql = (level, alias, userParam) => `(
+  ${alias}.${level}_access = 'everyone'
+  OR (${alias}.${level}_access = 'members' AND ${userParam}::UUID IS NOT NULL)
+  OR EXISTS (SELECT 1 FROM users su WHERE su.id = ${userParam}::UUID AND su.role IN ('moderator', 'admin'))
+  OR ${moderatesSql(`${alias}.id`, userParam)}
+  OR (${alias}.${level}_access = 'groups' AND EXISTS (
+    SELECT 1 FROM category_groups cg
+    JOIN user_group_members gm ON gm.group_id = cg.group_id
+    WHERE cg.category_id = ${alias}.id AND gm.user_id = ${userParam}::UUID
+    ${level === 'write' ? `AND cg.permission = 'write'` : ''}
+  ))
+)`;
+
+/**
+ * SQL condition: `column` is a category the viewer can read
+ * (it and all of its ancestors)
+ */
+const readableSql = (column, userParam) => `${column} IN (
+  WITH RECURSIVE readable AS (
+    SELECT c.id FROM categories c
+    WHERE c.parent_id IS NULL AND ${passesSql('read', 'c', userParam)}
+    UNION ALL
+    SELECT c.id FROM categories c JOIN readable r ON c.parent_id = r.id
+    WHERE ${passesSql('read', 'c', userParam)}
+  )
+  SELECT id FROM readable
+)`;
+
+/**
+ * @throws {AppError} 404 unless the viewer can read the thread's category
+ */
+const assertCanReadThread = async (threadId, user) => {
+  const result = await query(
+    `SELECT 1 FROM threads t WHERE t.id = $1 AND ${readableSql('t.category_id', '$2')}`,
+    [threadId, user?.id || null]
+  );
+  if (!result.rows[0]) throw new AppError('Thread not found.', 404);
+};
+
+/**
+ * SQL condition: `categoryExpr` is archived, or sits below an
+ * archived category
+ */
+const archivedSql = (categoryExpr) => `EXISTS (
+  ${ancestorsCte(categoryExpr)}
+  SELECT 1 FROM ancestors WHERE status = 'archived'
+)`;
+
+/**
+ * @throws {AppError} 404 if the category is hidden from the user,
+ *   403 if it's archived or they can see it but not post in it
+ */
+const assertCanPost = async (categoryId, user) => {
+  const result = await query(
+    `SELECT ${passesSql('write', 'c', '$2')} AS can_post,
+            ${archivedSql('c.id')} AS archived
+     FROM categories c
+     WHERE c.id = $1 AND ${readableSql('c.id', '$2')}`,
+    [categoryId, user.id]
+  );
+  const category = result.rows[0];
+  if (!category) throw new AppError('Category not found.', 404);
+  if (category.archived) throw new AppError(ARCHIVED_MESSAGE, 403);
+  if (!category.can_post) throw new AppError('You do not have permission to post in this category.', 403);
+};
+
+/**
+ * For authors editing existing content: the same checks as
+ * posting in the thread's category (it may have been moved, or
+ * its access narrowed, since they wrote it)
+ * @throws {AppError} 404 if the thread is gone or hidden from the user,
+ *   403 if it's archived or they can no longer post there
+ */
+const assertCanWriteThread = async (threadId, user) => {
+  const result = await query(`SELECT category_id FROM threads WHERE id = $1`, [threadId]);
+  if (!result.rows[0]) throw new AppError('Thread not found.', 404);
+  await assertCanPost(result.rows[0].category_id, user);
+};
+
+/**
+ * For content moved into a category
+ * @throws {AppError} 404 if it doesn't exist, 403 if it's archived
+ */
+const assertCategoryWritable = async (categoryId) => {
+  const result = await query(
+    `SELECT ${archivedSql('c.id')} AS archived FROM categories c WHERE c.id = $1`,
+    [categoryId]
+  );
+  if (!result.rows[0]) throw new AppError('Category not found.', 404);
+  if (result.rows[0].archived) throw new AppError(ARCHIVED_MESSAGE, 403);
+};
+
+/**
+ * For writes to existing content (edits, votes)
+ * @throws {AppError} 403 if the thread's category is archived
+ */
+const assertThreadWritable = async (threadId) => {
+  const result = await query(
+    `SELECT ${archivedSql('t.category_id')} AS archived FROM threads t WHERE t.id = $1`,
+    [threadId]
+  );
+  if (result.rows[0]?.archived) throw new AppError(ARCHIVED_MESSAGE, 403);
+};
+
+/**
+ * Can the user moderate threads in this category?
+ */
+const canModerateCategory = async (categoryId, user) => {
+  if (isStaff(user)) return true;
+  const result = await query(`SELECT ${moderatesSql('$1::UUID', '$2')} AS ok`, [categoryId, user.id]);
+  return result.rows[0].ok;
+};
+
+/**
+ * Can the user moderate a thread? False if it doesn't exist
+ */
+const canModerateThread = async (threadId, user) => {
+  if (isStaff(user)) return true;
+  const result = await query(
+    `SELECT 1 FROM threads t WHERE t.id = $1 AND ${moderatesSql('t.category_id', '$2')}`,
+    [threadId, user.id]
+  );
+  return Boolean(result.rows[0]);
+};
+
+/**
+ * @throws {AppError} 404 if the thread doesn't exist, 403 if the
+ *   user can't moderate it
+ */
+const assertCanModerateThread = async (threadId, user) => {
+  const result = await query(`SELECT id FROM threads WHERE id = $1`, [threadId]);
+  if (!result.rows[0]) throw new AppError('Thread not found.', 404);
+  if (!(await canModerateThread(threadId, user))) {
+    throw new AppError('Access denied. You are not a moderator of this category.', 403);
+  }
+};
+
+module.exports = {
+  isStaff, passesSql, readableSql, archivedSql,
+  assertCanReadThread, assertCanPost, assertCanWriteThread, assertCategoryWritable, assertThreadWritable,
+  canModerateCategory, canModerateThread, assertCanModerateThread,
+};
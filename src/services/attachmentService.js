@@ -0,0 +1,258 @@
+// src/services/attachmentService.js
+// ─────────────────────────────────────────────────────────
+// File attachments on opening posts and comments
+// • PostgreSQL `attachments` is the source of truth (quotas,
+//   access checks, cleanup); the Post/Comment `attachments`
+//   array mirrors it for rendering
+// • Bytes go through the storage driver (services/storage)
+// • Types are sniffed from the contents — see utils/mime.js
+// Callers are responsible for permission checks + logActivity
+// ─────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const { query, getClient } = require('../config/postgres');
+const logger = require('../config/logger');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const storage = require('./storage');
+const { sniffMimeType } = require('../utils/mime');
+const { AppError } = require('../middleware/errorHandler');
+
+const MB = 1024 * 1024;
+const envInt = (name, fallback) => (process.env[name] !== undefined ? parseInt(process.env[name]) : fallback);
+
+const LIMITS = {
+  maxFileSize:    envInt('ATTACHMENT_MAX_SIZE_MB', 10) * MB,
+  maxFilesPerDoc: envInt('ATTACHMENT_MAX_FILES', 5),
+};
+
+// Total bytes a user may have stored, by role (0 = unlimited)
+const QUOTAS = {
+  user:      envInt('ATTACHMENT_QUOTA_MB_USER', 100) * MB,
+  moderator: envInt('ATTACHMENT_QUOTA_MB_MODERATOR', 500) * MB,
+  admin:     envInt('ATTACHMENT_QUOTA_MB_ADMIN', 0) * MB,
+};
+
+const ALLOWED_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'application/pdf', 'application/zip', 'text/plain',
+];
+
+// Where each kind of document keeps its attachment list
+const TARGETS = {
+  post:    { model: Post,    field: 'originalPost.attachments' },
+  comment: { model: Comment, field: 'attachments' },
+};
+
+const ATTACHMENT_FIELDS = `id, doc_id, uploader_id, filename, mimetype, size, created_at`;
+
+const urlFor = (id) => `/api/v1/attachments/${id}`;
+
+// The entry stored on the Post / Comment
+const toEmbedded = (row) => ({
+  id:       row.id,
+  url:      urlFor(row.id),
+  filename: row.filename,
+  mimetype: row.mimetype,
+  size:     row.size,
+});
+
+// multer decodes multipart filenames as latin1; keep a bare name
+const cleanFilename = (name) => {
+  const decoded = Buffer.from(name || '', 'latin1').toString('utf8');
+  const base = decoded.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim();
+  return (base || 'file').slice(0, 255);
+};
+
+// Delete storage objects — failures are logged, the rows are already gone
+const removeObjects = (keys) => Promise.all(keys.map(key =>
+  storage.remove(key).catch(err => logger.error(`Failed to delete attachment ${key}: ${err.message}`))
+));
+
+/**
+ * Storage quota for a user, in bytes (0 = unlimited)
+ */
+const quotaFor = (user) => QUOTAS[user.role] ?? QUOTAS.user;
+
+/**
+ * Find the post or comment an attachment belongs to
+ * @returns {Promise<{docType, doc}|null>} doc has threadId, authorId, isDeleted
+ */
+const findDoc = async (docId) => {
+  const post = await Post.findById(docId, 'threadId originalPost.authorId').lean();
+  if (post) {
+    return { docType: 'post', doc: { threadId: post.threadId, authorId: post.originalPost.authorId, isDeleted: false } };
+  }
+  const comment = await Comment.findById(docId, 'threadId authorId isDeleted').lean();
+  return comment ? { docType: 'comment', doc: comment } : null;
+};
+
+/**
+ * Store uploaded files and attach them to a post or comment
+ * @param {object} opts - docType ('post'|'comment'), docId,
+ *   files (multer memory files), user (req.user)
+ * @returns {Promise<object[]>} the new attachment entries
+ */
+const attachFiles = async ({ docType, docId, files, user }) => {
+  if (!files || files.length === 0) throw new AppError('No files uploaded.', 400);
+
+  // Reject the whole upload if any file isn't an allowed type
+  const prepared = files.map(file => {
+    const filename = cleanFilename(file.originalname);
+    const mimetype = sniffMimeType(file.buffer);
+    if (!ALLOWED_TYPES.includes(mimetype)) {
+      throw new AppError(`"${filename}" is not an allowed file type.`, 415, 'UNSUPPORTED_FILE_TYPE');
+    }
+    return { filename, mimetype, buffer: file.buffer, key: `attachments/${crypto.randomUUID()}` };
+  });
+
+  // Quota check + rows first, in a short transaction; uploads happen
+  // after it commits so a slow storage backend never holds the lock
+  const client = await getClient();
+  let rows;
+
+  try {
+    await client.query('BEGIN');
+
+    // One upload per user at a time — the quota check can't race
+    await client.query(`SELECT id FROM users WHERE id = $1 FOR UPDATE`, [user.id]);
+    const usage = await client.query(
+      `SELECT (SELECT COALESCE(SUM(size), 0) FROM attachments WHERE uploader_id = $1) AS used,
+              (SELECT COUNT(*) FROM attachments WHERE doc_id = $2) AS on_doc`,
+      [user.id, String(docId)]
+    );
+    const used = Number(usage.rows[0].used);
+    const onDoc = Number(usage.rows[0].on_doc);
+
+    if (onDoc + prepared.length > LIMITS.maxFilesPerDoc) {
+      throw new AppError(`A post or comment can have at most ${LIMITS.maxFilesPerDoc} attachments.`, 400);
+    }
+    const quota = quotaFor(user);
+    const incoming = prepared.reduce((sum, f) => sum + f.buffer.length, 0);
+    if (quota && used + incoming > quota) {
+      throw new AppError('Attachment storage quota exceeded.', 413, 'QUOTA_EXCEEDED');
+    }
+
+    const result = await client.query(
+      `INSERT INTO attachments (doc_id, uploader_id, storage_key, filename, mimetype, size)
+       SELECT $1, $2, f.key, f.filename, f.mimetype, f.size
+       FROM UNNEST($3::TEXT[], $4::TEXT[], $5::TEXT[], $6::INTEGER[])
+         WITH ORDINALITY AS f(key, filename, mimetype, size, n)
+       ORDER BY f.n
+       RETURNING ${ATTACHMENT_FIELDS}`,
+      [
+        String(docId), user.id,
+        prepared.map(f => f.key), prepared.map(f => f.filename),
+        prepared.map(f => f.mimetype), prepared.map(f => f.buffer.length),
+      ]
+    );
+    rows = result.rows;
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Undo the rows (and whatever was stored) if a later step fails
+  const stored = [];
+  const discard = async () => {
+    await query(`DELETE FROM attachments WHERE id = ANY($1::UUID[])`, [rows.map(r => r.id)]);
+    await removeObjects(stored);
+  };
+
+  const entries = rows.map(toEmbedded);
+  const { model, field } = TARGETS[docType];
+  try {
+    for (const file of prepared) {
+      await storage.put(file.key, file.buffer, file.mimetype);
+      stored.push(file.key);
+    }
+    await model.updateOne({ _id: docId }, { $push: { [field]: { $each: entries } } });
+  } catch (err) {
+    await discard();
+    throw err;
+  }
+
+  return entries;
+};
+
+/**
+ * @returns {Promise<object|null>} the attachment row (with storage_key)
+ */
+const getAttachment = async (id) => {
+  const result = await query(`SELECT ${ATTACHMENT_FIELDS}, storage_key FROM attachments WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Remove one attachment from its post/comment, the database and storage
+ */
+const removeAttachment = async (attachment, docType) => {
+  await query(`DELETE FROM attachments WHERE id = $1`, [attachment.id]);
+
+  const { model, field } = TARGETS[docType];
+  await model.updateOne({ _id: attachment.doc_id }, { $pull: { [field]: { id: attachment.id } } });
+
+  await removeObjects([attachment.storage_key]);
+};
+
+/**
+ * Clean up every attachment of deleted posts/comments
+ * (the documents themselves are the caller's business)
+ * @param {Array<string|ObjectId>} docIds
+ * @returns {Promise<number>} attachments removed
+ */
+const removeAttachmentsFor = async (docIds) => {
+  if (docIds.length === 0) return 0;
+  const result = await query(
+    `DELETE FROM attachments WHERE doc_id = ANY($1::TEXT[]) RETURNING storage_key`,
+    [docIds.map(String)]
+  );
+  await removeObjects(result.rows.map(r => r.storage_key));
+  return result.rowCount;
+};
+
+/**
+ * Clean up every attachment in threads about to be deleted —
+ * call BEFORE their Post / Comment documents are removed
+ * @param {string[]} threadIds
+ */
+const removeThreadAttachments = async (threadIds) => {
+  const [posts, comments] = await Promise.all([
+    Post.find({ threadId: { $in: threadIds } }, '_id').lean(),
+    Comment.find({ threadId: { $in: threadIds } }, '_id').lean(),
+  ]);
+  return removeAttachmentsFor([...posts, ...comments].map(d => d._id));
+};
+
+/**
+ * Open an attachment's contents
+ * @returns {Promise<Readable|null>} null if the object is missing
+ */
+const openAttachment = (attachment) => storage.get(attachment.storage_key);
+
+/**
+ * Storage used by a user against their quota
+ */
+const getUsage = async (user) => {
+  const result = await query(
+    `SELECT COALESCE(SUM(size), 0) AS used, COUNT(*) AS files FROM attachments WHERE uploader_id = $1`,
+    [user.id]
+  );
+  return {
+    used:  Number(result.rows[0].used),
+    files: Number(result.rows[0].files),
+    quota: quotaFor(user) || null,
+    maxFileSize:    LIMITS.maxFileSize,
+    maxFilesPerDoc: LIMITS.maxFilesPerDoc,
+    allowedTypes:   ALLOWED_TYPES,
+  };
+};
+
+module.exports = {
+  LIMITS,
+  findDoc, attachFiles, getAttachment, openAttachment,
+  removeAttachment, removeAttachmentsFor, removeThreadAttachments, getUsage,
+};
@@ -0,0 +1,179 @@
+// src/services/avatarService.js
+// ─────────────────────────────────────────────────────────
+// Profile pictures
+// • Uploads are square-cropped and stored in every size in
+//   SIZES (WebP) under avatars/<userId>/<version>/ — a new
+//   upload gets a new version, so avatar URLs never change
+//   content and can be cached forever
+// • Users without an upload get an identicon generated from
+//   their id (same id → same picture, nothing stored)
+// ─────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { query } = require('../config/postgres');
+const logger = require('../config/logger');
+const storage = require('./storage');
+const { sniffMimeType } = require('../utils/mime');
+const { AppError } = require('../middleware/errorHandler');
+
+const SIZES = [32, 64, 128, 256];
+const DEFAULT_SIZE = 128;
+
+const LIMITS = {
+  maxFileSize:  (parseInt(process.env.AVATAR_MAX_SIZE_MB) || 5) * 1024 * 1024,
+  minDimension: 64,
+};
+
+const ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const keyFor = (userId, version, size) => `avatars/${userId}/${version}/${size}.webp`;
+
+/**
+ * Public URL of a user's avatar — the identicon when none was uploaded
+ * @param {{ id: string, avatar_version?: string }} user
+ */
+const avatarUrl = (user) => (user.avatar_version
+  ? `/api/v1/avatars/${user.id}/${user.avatar_version}`
+  : `/api/v1/avatars/${user.id}/identicon`);
+
+/**
+ * Snap a requested size to one we generate: the smallest that is at
+ * least as large, else the largest
+ */
+const pickSize = (requested) => {
+  const size = parseInt(requested) || DEFAULT_SIZE;
+  return SIZES.find(s => s >= size) || SIZES[SIZES.length - 1];
+};
+
+// Best effort — a leftover old version is only wasted space
+const removeVersion = (userId, version) => Promise.all(SIZES.map(size =>
+  storage.remove(keyFor(userId, version, size))
+    .catch(err => logger.error(`Failed to delete avatar ${keyFor(userId, version, size)}: ${err.message}`))
+));
+
+/**
+ * Validate, crop and store a new avatar, replacing the old one
+ * @param {string} userId
+ * @param {Buffer} buffer - the uploaded file
+ * @returns {Promise<string>} the new avatar URL
+ */
+const setAvatar = async (userId, buffer) => {
+  if (!buffer) throw new AppError('No image uploaded.', 400);
+  if (!ALLOWED_TYPES.includes(sniffMimeType(buffer))) {
+    throw new AppError('Avatar must be a PNG, JPEG, GIF or WebP image.', 415, 'UNSUPPORTED_FILE_TYPE');
+  }
+
+  // First frame only; refuse decompression bombs
+  const image = sharp(buffer, { animated: false, limitInputPixels: 40_000_000 });
+  let metadata;
+  try {
+    metadata = await image.metadata();
+  } catch {
+    throw new AppError('Could not read the image.', 400);
+  }
+  if (Math.min(metadata.width, metadata.height) < LIMITS.minDimension) {
+    throw new AppError(`Avatar must be at least ${LIMITS.minDimension}×${LIMITS.minDimension} pixels.`, 400);
+  }
+
+  const version = crypto.randomBytes(8).toString('hex');
+  try {
+    for (const size of SIZES) {
+      const resized = await image.clone()
+        .rotate()  // Honour EXIF orientation
+        .resize(size, size, { fit: 'cover', position: sharp.strategy.attention })
+        .webp({ quality: 85 })
+        .toBuffer();
+      await storage.put(keyFor(userId, version, size), resized, 'image/webp');
+    }
+  } catch (err) {
+    await removeVersion(userId, version);
+    if (err instanceof AppError) throw err;
+    throw new AppError('Could not process the image.', 400);
+  }
+
+  const url = avatarUrl({ id: userId, avatar_version: version });
+  // `old` is read before the update → the version being replaced
+  let result;
+  try {
+    result = await query(
+      `UPDATE users u SET avatar_url = $2, avatar_version = $3
+       FROM users old
+       WHERE u.id = $1 AND old.id = u.id
+       RETURNING old.avatar_version AS previous`,
+      [userId, url, version]
+    );
+  } catch (err) {
+    await removeVersion(userId, version);
+    throw err;
+  }
+
+  const previous = result.rows[0]?.previous;
+  if (previous) await removeVersion(userId, previous);
+
+  return url;
+};
+
+/**
+ * Delete the uploaded avatar — the user falls back to their identicon
+ * @returns {Promise<string>} the identicon URL
+ */
+const removeAvatar = async (userId) => {
+  const result = await query(
+    `UPDATE users u SET avatar_url = NULL, avatar_version = NULL
+     FROM users old
+     WHERE u.id = $1 AND old.id = u.id
+     RETURNING old.avatar_version AS previous`,
+    [userId]
+  );
+
+  const previous = result.rows[0]?.previous;
+  if (previous) await removeVersion(userId, previous);
+
+  return avatarUrl({ id: userId });
+};
+
+/**
+ * Open a stored avatar
+ * @returns {Promise<Readable|null>}
+ */
+const openAvatar = (userId, version, size) => storage.get(keyFor(userId, version, size));
+
+/**
+ * Identicon: a symmetric 5×5 pattern + colour derived from the seed
+ * @returns {string} SVG markup
+ */
+const identiconSvg = (seed) => {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  const hue = Math.round((hash.readUInt16BE(0) / 0xffff) * 360);
+
+  const cells = [];
+  for (let row = 0; row < 5; row++) {
+    for (let col = 0; col < 3; col++) {
+      if (hash[2 + row * 3 + col] % 2 === 0) continue;
+      cells.push([col, row]);
+      if (col < 2) cells.push([4 - col, row]);  // Mirror
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-0.5 -0.5 6 6" shape-rendering="crispEdges">`
+    + `<rect x="-0.5" y="-0.5" width="6" height="6" fill="#f0f0f0"/>`
+    + `<g fill="hsl(${hue}, 55%, 50%)">`
+    + cells.map(([x, y]) => `<rect x="${x}" y="${y}" width="1" height="1"/>`).join('')
+    + `</g></svg>`;
+};
+
+/**
+ * Identicon rendered to WebP
+ * @returns {Promise<Buffer>}
+ */
+const renderIdenticon = (seed, size) =>
+  sharp(Buffer.from(identiconSvg(seed)), { density: 72 * Math.ceil(size / 6) })
+    .resize(size, size)
+    .webp({ lossless: true })
+    .toBuffer();
+
+module.exports = {
+  SIZES, LIMITS,
+  avatarUrl, pickSize,
+  setAvatar, removeAvatar, openAvatar, renderIdenticon,
+};
@@ -0,0 +1,135 @@
+// src/services/banService.js
+// ─────────────────────────────────────────────────────────
+// Ban lookups shared by auth middleware, login and admin
+//
+// users.is_banned is a fast flag; user_bans is the source
+// of truth. A ban is ACTIVE when it hasn't been lifted and
+// hasn't reached its expires_at (NULL = permanent).
+// Expired bans are cleared lazily on the next auth check
+// and in bulk by the ban sweeper job.
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+
+const ACTIVE_BAN = `b.lifted_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > NOW())`;
+
+/**
+ * Latest active ban for a user, with the issuer's username
+ * @returns {Promise<object|null>}
+ */
+const getActiveBan = async (userId) => {
+  const result = await query(
+    `SELECT b.id, b.reason, b.expires_at, b.created_at,
+            b.banned_by, u.username AS banned_by_username
+     FROM user_bans b
+     LEFT JOIN users u ON u.id = b.banned_by
+     WHERE b.user_id = $1 AND ${ACTIVE_BAN}
+     ORDER BY b.created_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Check a user flagged as banned — clears the flag if every
+ * ban on record has expired. Like the sweeper, only users with
+ * ban history: a flag set by hand has no record to expire and
+ * counts as a permanent ban (id null — nothing to appeal).
+ * @returns {Promise<object|null>} the active ban, or null if lifted
+ */
+const resolveBan = async (userId) => {
+  const ban = await getActiveBan(userId);
+  if (ban) return ban;
+
+  const result = await query(
+    `UPDATE users u SET is_banned = false, ban_reason = NULL
+     WHERE u.id = $1 AND u.is_banned = true
+       AND EXISTS (SELECT 1 FROM user_bans b WHERE b.user_id = $1)
+     RETURNING u.id`,
+    [userId]
+  );
+  if (result.rows[0]) return null;
+
+  const flagged = await query(`SELECT ban_reason FROM users WHERE id = $1 AND is_banned = true`, [userId]);
+  if (!flagged.rows[0]) return null;
+  return {
+    id: null, reason: flagged.rows[0].ban_reason, expires_at: null, created_at: null,
+    banned_by: null, banned_by_username: null,
+  };
+};
+
+/**
+ * Clear the banned flag on every user whose bans have all expired
+ * Only touches users with ban history, so flags set by hand stay put
+ * @returns {Promise<string[]>} ids of users that were unbanned
+ */
+const sweepExpiredBans = async () => {
+  const result = await query(
+    `UPDATE users u SET is_banned = false, ban_reason = NULL
+     WHERE u.is_banned = true
+       AND EXISTS (SELECT 1 FROM user_bans b WHERE b.user_id = u.id)
+       AND NOT EXISTS (SELECT 1 FROM user_bans b WHERE b.user_id = u.id AND ${ACTIVE_BAN})
+     RETURNING u.id`
+  );
+  return result.rows.map(r => r.id);
+};
+
+/**
+ * Lift a user's active ban(s) early, recording who and why
+ * @param {string|null} banId - lift only this ban (appeals); null = all active
+ */
+const liftActiveBans = (userId, liftedBy, reason = null, banId = null) => query(
+  `UPDATE user_bans b SET lifted_at = NOW(), lifted_by = $2, lift_reason = $3
+   WHERE b.user_id = $1 AND ($4::UUID IS NULL OR b.id = $4) AND ${ACTIVE_BAN}`,
+  [userId, liftedBy, reason, banId]
+);
+
+/**
+ * Full ban history for a user, newest first
+ */
+const getBanHistory = async (userId) => {
+  const result = await query(
+    `SELECT b.id, b.reason, b.expires_at, b.created_at,
+            b.banned_by, issuer.username AS banned_by_username,
+            b.lifted_at, b.lifted_by, lifter.username AS lifted_by_username, b.lift_reason,
+            CASE
+              WHEN b.lifted_at IS NOT NULL THEN 'lifted'
+              WHEN b.expires_at IS NOT NULL AND b.expires_at <= NOW() THEN 'expired'
+              ELSE 'active'
+            END AS status,
+            a.id AS appeal_id, a.status AS appeal_status
+     FROM user_bans b
+     LEFT JOIN users issuer ON issuer.id = b.banned_by
+     LEFT JOIN users lifter ON lifter.id = b.lifted_by
+     LEFT JOIN ban_appeals a ON a.ban_id = b.id
+     WHERE b.user_id = $1
+     ORDER BY b.created_at DESC`,
+    [userId]
+  );
+  return result.rows.map(row => ({
+    ...formatBan(row),
+    status:     row.status,
+    liftedAt:   row.lifted_at,
+    liftedBy:   row.lifted_by && { id: row.lifted_by, username: row.lifted_by_username },
+    liftReason: row.lift_reason,
+    appeal:     row.appeal_id && { id: row.appeal_id, status: row.appeal_status },
+  }));
+};
+
+/**
+ * Shape a ban row for API responses
+ */
+const formatBan = (ban) => ban && ({
+  id:        ban.id,
+  reason:    ban.reason,
+  expiresAt: ban.expires_at,
+  createdAt: ban.created_at,
+  bannedBy:  { id: ban.banned_by, username: ban.banned_by_username },
+});
+
+module.exports = {
+  ACTIVE_BAN,
+  getActiveBan, resolveBan, sweepExpiredBans,
+  liftActiveBans, getBanHistory,
+  formatBan,
+};
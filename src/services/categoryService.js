@@ -0,0 +1,200 @@
+// src/services/categoryService.js
+// ─────────────────────────────────────────────────────────
+// Category hierarchy (categories.parent_id) helpers
+// Trees are walked with recursive CTEs — one query per tree,
+// whatever the depth
+// ─────────────────────────────────────────────────────────
+const { query, getClient } = require('../config/postgres');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Revision = require('../models/Revision');
+const { passesSql } = require('./accessService');
+const { removeThreadAttachments } = require('./attachmentService');
+const { removeThreadNotifications } = require('./notificationService');
+const { AppError } = require('../middleware/errorHandler');
+
+const CATEGORY_FIELDS = `c.id, c.name, c.slug, c.description, c.status,
+  c.parent_id, c.position, c.icon, c.color,
+  c.read_access, c.write_access, c.created_at`;
+
+/**
+ * SQL condition: `column` is the category `$param` or any
+ * category below it
+ */
+const inSubtreeSql = (column, param) => `${column} IN (
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM categories WHERE id = ${param}
+    UNION ALL
+    SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+  )
+  SELECT id FROM subtree
+)`;
+
+/**
+ * Every active category reachable from an active root that the
+ * viewer may read, in display order (depth-first; siblings by
+ * position, name) with direct + rolled-up thread counts.
+ * An archived or hidden category hides its whole subtree,
+ * unless includeArchived (admin listing) is set.
+ * @param {string|null} userId - null for guests
+ */
+const getCategoryList = async (userId = null, { includeArchived = false } = {}) => {
+  const statusFilter = includeArchived ? '' : `AND c.status = 'active'`;
+  const result = await query(`
+    WITH RECURSIVE tree AS (
+      SELECT ${CATEGORY_FIELDS}, 0 AS depth,
+             ARRAY[LPAD(c.position::TEXT, 10, '0') || c.name]::TEXT[] AS sort_path
+      FROM categories c
+      WHERE c.parent_id IS NULL ${statusFilter}
+        AND ${passesSql('read', 'c', '$1')}
+      UNION ALL
+      SELECT ${CATEGORY_FIELDS}, tree.depth + 1,
+             tree.sort_path || (LPAD(c.position::TEXT, 10, '0') || c.name)
+      FROM categories c
+      JOIN tree ON c.parent_id = tree.id
+      WHERE TRUE ${statusFilter}
+        AND ${passesSql('read', 'c', '$1')}
+    )
+    SELECT tree.id, tree.name, tree.slug, tree.description, tree.status,
+           tree.parent_id, tree.position, tree.icon, tree.color,
+           tree.read_access, tree.write_access, tree.created_at,
+           tree.depth,
+           (SELECT COUNT(*) FROM threads t WHERE t.category_id = tree.id)::INTEGER AS thread_count
+    FROM tree
+    ORDER BY tree.sort_path
+  `, [userId]);
+
+  // Roll counts up: deepest first, so each child is final before its parent
+  const rows = result.rows;
+  const byId = new Map(rows.map(r => [r.id, { ...r, total_thread_count: r.thread_count }]));
+  [...byId.values()]
+    .sort((a, b) => b.depth - a.depth)
+    .forEach((cat) => {
+      const parent = cat.parent_id && byId.get(cat.parent_id);
+      if (parent) parent.total_thread_count += cat.total_thread_count;
+    });
+
+  return rows.map(r => byId.get(r.id));
+};
+
+/**
+ * Nest a flat, display-ordered list into { ...category, children }
+ */
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map(c => [c.id, { ...c, children: [] }]));
+  const roots = [];
+  for (const cat of categories) {
+    const node = nodes.get(cat.id);
+    const parent = cat.parent_id && nodes.get(cat.parent_id);
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
+/**
+ * Ancestors of a category, root first, ending with itself
+ * @returns {Promise<Array<{id, name, slug}>>}
+ */
+const getBreadcrumbs = async (categoryId) => {
+  const result = await query(`
+    WITH RECURSIVE ancestors AS (
+      SELECT id, name, slug, parent_id, 0 AS depth FROM categories WHERE id = $1
+      UNION ALL
+      SELECT c.id, c.name, c.slug, c.parent_id, a.depth + 1
+      FROM categories c JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT id, name, slug FROM ancestors ORDER BY depth DESC
+  `, [categoryId]);
+  return result.rows;
+};
+
+/**
+ * A parent must exist and must not be the category itself or
+ * one of its descendants (that would make a cycle)
+ */
+const assertValidParent = async (categoryId, parentId) => {
+  if (!parentId) return;
+
+  const parentResult = await query(`SELECT id FROM categories WHERE id = $1`, [parentId]);
+  if (!parentResult.rows[0]) throw new AppError('Parent category not found.', 404);
+  if (!categoryId) return;
+
+  const cycle = await query(`SELECT 1 WHERE ${inSubtreeSql('$2::UUID', '$1')}`, [categoryId, parentId]);
+  if (cycle.rows[0]) throw new AppError('A category cannot be moved under itself or its subcategories.', 400);
+};
+
+/**
+ * Delete a category. Its threads are moved to `moveThreadsTo`,
+ * or deleted (with their MongoDB content) if `deleteThreads` —
+ * a category with threads and neither option is refused.
+ * Subcategories must be moved or deleted first, so nothing
+ * silently changes parent (and permissions).
+ * @returns {Promise<{category, threadsMoved: number, threadsDeleted: number}>}
+ */
+const removeCategory = async (categoryId, { moveThreadsTo = null, deleteThreads = false } = {}) => {
+  if (moveThreadsTo === categoryId) throw new AppError('Cannot move threads into the category being deleted.', 400);
+
+  const client = await getClient();
+  let category;
+  let threadsMoved = 0;
+  let deletedThreadIds = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const categoryResult = await client.query(
+      `SELECT id, name, slug FROM categories WHERE id = $1 FOR UPDATE`,
+      [categoryId]
+    );
+    category = categoryResult.rows[0];
+    if (!category) throw new AppError('Category not found.', 404);
+
+    const children = await client.query(`SELECT 1 FROM categories WHERE parent_id = $1 LIMIT 1`, [categoryId]);
+    if (children.rows[0]) throw new AppError('Move or delete its subcategories first.', 409);
+
+    if (moveThreadsTo) {
+      const target = await client.query(`SELECT id FROM categories WHERE id = $1 FOR SHARE`, [moveThreadsTo]);
+      if (!target.rows[0]) throw new AppError('Target category not found.', 404);
+
+      const moved = await client.query(
+        `UPDATE threads SET category_id = $2 WHERE category_id = $1`,
+        [categoryId, moveThreadsTo]
+      );
+      threadsMoved = moved.rowCount;
+    } else {
+      const threads = await client.query(`SELECT id FROM threads WHERE category_id = $1`, [categoryId]);
+      if (threads.rows.length > 0 && !deleteThreads) {
+        throw new AppError(
+          `Category has ${threads.rows.length} thread(s). Pass moveThreadsTo or deleteThreads: true.`,
+          409
+        );
+      }
+      deletedThreadIds = threads.rows.map(t => t.id);
+    }
+
+    // Remaining threads, grants and moderators go via ON DELETE CASCADE
+    await client.query(`DELETE FROM categories WHERE id = $1`, [categoryId]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (deletedThreadIds.length > 0) {
+    await removeThreadAttachments(deletedThreadIds);
+    await Post.deleteMany({ threadId: { $in: deletedThreadIds } });
+    await Comment.deleteMany({ threadId: { $in: deletedThreadIds } });
+    await Revision.deleteMany({ threadId: { $in: deletedThreadIds } });
+    await removeThreadNotifications(deletedThreadIds);
+  }
+
+  return { category, threadsMoved, threadsDeleted: deletedThreadIds.length };
+};
+
+module.exports = {
+  CATEGORY_FIELDS, inSubtreeSql,
+  getCategoryList, buildTree, getBreadcrumbs, assertValidParent,
+  removeCategory,
+};
@@ -0,0 +1,238 @@
+// src/services/commentTreeService.js
+// ─────────────────────────────────────────────────────────
+// Server-side comment trees
+// • One page of comments under a parent (null = top level),
+//   keyset-paginated in the requested sort order
+// • Replies fetched level by level (one query per depth),
+//   at most `repliesLimit` per comment, down to `maxDepth`
+// • Branches that are cut off carry a `moreReplies` cursor —
+//   passing it back continues exactly that branch
+// • Deleted comments become placeholders only while they
+//   still have live replies somewhere below them
+// ─────────────────────────────────────────────────────────
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const { encodeCursor, decodeCursor } = require('../utils/helpers');
+const { renderContent } = require('../utils/markdown');
+const { ensureCommentsRendered } = require('./renderService');
+const { resolveQuotes } = require('./quoteService');
+const { AppError } = require('../middleware/errorHandler');
+
+const SORTS = {
+  oldest: { field: 'createdAt', dir: 1 },
+  newest: { field: 'createdAt', dir: -1 },
+  top:    { field: 'score',     dir: -1 },
+};
+
+// Voter arrays can be huge and aren't part of a tree node
+const NODE_PROJECTION = { upvotedBy: 0, downvotedBy: 0 };
+
+const DELETED_HTML = renderContent('[deleted]');
+
+const { ObjectId } = mongoose.Types;
+
+// ── Keyset helpers ───────────────────────────────────────
+
+const sortSpec = (sort) => {
+  const { field, dir } = SORTS[sort];
+  return { [field]: dir, _id: dir };
+};
+
+// Filter for "strictly after" a cursor position in sort order
+const afterFilter = (sort, after) => {
+  if (!after) return {};
+  const { field, dir } = SORTS[sort];
+  const op = dir === 1 ? '$gt' : '$lt';
+  const value = field === 'createdAt' ? new Date(after.v) : after.v;
+  const id = new ObjectId(after.id);
+  return { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] };
+};
+
+// Cursor continuing the children of `parentId` after `last`
+const childCursor = (parentId, sort, last = null) => encodeCursor({
+  p: parentId ? String(parentId) : null,
+  s: sort,
+  ...(last && { a: { v: last[SORTS[sort].field], id: String(last._id) } }),
+});
+
+/**
+ * Parse a cursor from the client into { parentId, sort, after }
+ * @throws {AppError} 400 for anything malformed
+ */
+const parseCursor = (cursor) => {
+  const data = decodeCursor(cursor);
+  const valid = data
+    && SORTS[data.s]
+    && (data.p === null || ObjectId.isValid(data.p))
+    && (!data.a || (ObjectId.isValid(data.a.id) && ['number', 'string'].includes(typeof data.a.v)));
+  if (!valid) throw new AppError('Invalid cursor.', 400);
+
+  return {
+    parentId: data.p ? new ObjectId(data.p) : null,
+    sort:     data.s,
+    after:    data.a || null,
+  };
+};
+
+// ── Tree assembly ────────────────────────────────────────
+
+/**
+ * Replies for a whole level in one query, grouped by parent
+ * Each group: { _id: parentId, replies: [...first N+1], count }
+ * $topN keeps only N+1 per parent while grouping, so a comment
+ * with thousands of replies never builds a huge group
+ */
+const fetchReplies = (threadId, parentIds, sort, repliesLimit) => Comment.aggregate([
+  { $match: { threadId, parentCommentId: { $in: parentIds } } },
+  { $project: NODE_PROJECTION },
+  {
+    $group: {
+      _id:     '$parentCommentId',
+      replies: { $topN: { n: repliesLimit + 1, sortBy: sortSpec(sort), output: '$$ROOT' } },
+      count:   { $sum: 1 },
+    },
+  },
+]);
+
+// Reply counts only — for the last level, whose replies aren't loaded
+const countReplies = (threadId, parentIds) => Comment.aggregate([
+  { $match: { threadId, parentCommentId: { $in: parentIds } } },
+  { $group: { _id: '$parentCommentId', count: { $sum: 1 } } },
+]);
+
+/**
+ * Ids (as strings) of deleted comments with at least one live
+ * comment anywhere below them
+ */
+const withLiveReplies = async (threadId, deletedIds) => {
+  if (deletedIds.length === 0) return new Set();
+
+  const rows = await Comment.aggregate([
+    { $match: { _id: { $in: deletedIds } } },
+    {
+      $graphLookup: {
+        from: Comment.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parentCommentId',
+        as: 'descendants',
+        restrictSearchWithMatch: { threadId },
+      },
+    },
+    { $project: { hasLive: { $in: [false, '$descendants.isDeleted'] } } },
+    { $match: { hasLive: true } },
+  ]);
+
+  return new Set(rows.map(r => String(r._id)));
+};
+
+/**
+ * The caller's vote on every node, in two small queries
+ */
+const attachUserVotes = async (nodes, userId) => {
+  const ids = nodes.map(n => n._id);
+  const [up, down] = await Promise.all([
+    Comment.distinct('_id', { _id: { $in: ids }, upvotedBy: userId }),
+    Comment.distinct('_id', { _id: { $in: ids }, downvotedBy: userId }),
+  ]);
+  const upSet = new Set(up.map(String));
+  const downSet = new Set(down.map(String));
+
+  for (const node of nodes) {
+    const id = String(node._id);
+    node.userVote = upSet.has(id) ? 1 : downSet.has(id) ? -1 : 0;
+  }
+};
+
+// Drop dead branches; keep deleted comments only as placeholders
+const prune = (nodes, keepDeleted) => nodes
+  .filter(n => !n.isDeleted || keepDeleted.has(String(n._id)))
+  .map((n) => {
+    const replies = prune(n.replies, keepDeleted);
+    if (!n.isDeleted) return { ...n, replies };
+    return {
+      _id:             n._id,
+      parentCommentId: n.parentCommentId,
+      isDeleted:       true,
+      content:         '[deleted]',
+      format:          'plain',
+      contentHtml:     DELETED_HTML,
+      createdAt:       n.createdAt,
+      replyCount:      n.replyCount,
+      moreReplies:     n.moreReplies,
+      replies,
+    };
+  });
+
+/**
+ * Build one page of a thread's comment tree
+ * @param {object} opts
+ * @param {string} opts.threadId
+ * @param {ObjectId|null} opts.parentId - null = top-level comments
+ * @param {'oldest'|'newest'|'top'} opts.sort
+ * @param {object|null} opts.after - keyset position from a cursor
+ * @param {number} opts.limit - comments on this page (at parentId's level)
+ * @param {number} opts.maxDepth - reply levels to load below the page
+ * @param {number} opts.repliesLimit - replies loaded per comment
+ * @param {string} [opts.userId] - adds userVote to every node
+ * @returns {Promise<{comments: object[], nextCursor: string|null}>}
+ */
+const getCommentTree = async ({
+  threadId, parentId = null, sort, after = null,
+  limit, maxDepth, repliesLimit, userId = null,
+}) => {
+  const page = await Comment.find({ threadId, parentCommentId: parentId, ...afterFilter(sort, after) })
+    .select(NODE_PROJECTION)
+    .sort(sortSpec(sort))
+    .limit(limit + 1)
+    .lean();
+
+  const roots = page.slice(0, limit);
+  const nextCursor = page.length > limit ? childCursor(parentId, sort, roots[roots.length - 1]) : null;
+
+  // Walk down level by level
+  const all = [...roots];
+  let level = roots;
+  for (let depth = 0; level.length > 0; depth++) {
+    const ids = level.map(c => c._id);
+
+    if (depth >= maxDepth) {
+      // Depth limit: no replies loaded, just where to continue
+      const counts = new Map((await countReplies(threadId, ids)).map(g => [String(g._id), g.count]));
+      for (const c of level) {
+        c.replyCount  = counts.get(String(c._id)) || 0;
+        c.replies     = [];
+        c.moreReplies = c.replyCount > 0 ? childCursor(c._id, sort) : null;
+      }
+      break;
+    }
+
+    const groups = new Map((await fetchReplies(threadId, ids, sort, repliesLimit)).map(g => [String(g._id), g]));
+    const next = [];
+    for (const c of level) {
+      const group = groups.get(String(c._id));
+      const replies = group ? group.replies.slice(0, repliesLimit) : [];
+      c.replyCount  = group ? group.count : 0;
+      c.replies     = replies;
+      c.moreReplies = group && group.replies.length > repliesLimit
+        ? childCursor(c._id, sort, replies[replies.length - 1])
+        : null;
+      next.push(...replies);
+    }
+    all.push(...next);
+    level = next;
+  }
+
+  ensureCommentsRendered(all);
+  await resolveQuotes(all);
+
+  const deletedIds = all.filter(c => c.isDeleted).map(c => c._id);
+  const [keepDeleted] = await Promise.all([
+    withLiveReplies(threadId, deletedIds),
+    userId ? attachUserVotes(all.filter(c => !c.isDeleted), userId) : null,
+  ]);
+
+  return { comments: prune(roots, keepDeleted), nextCursor };
+};
+
+module.exports = { SORTS, parseCursor, getCommentTree };
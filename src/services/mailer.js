@@ -0,0 +1,76 @@
+// src/services/mailer.js
+// ─────────────────────────────────────────────────────────
+// Outgoing email behind a pluggable transport
+//
+// A transport is any object with `send({ from, to, subject, text })`
+// returning a promise. Built-in transports work offline:
+// • file → appends each message to logs/mail.log (default)
+// • log  → writes each message through the Winston logger
+// Production code registers its own (SMTP, SES…) with
+// setTransport() at startup.
+// ─────────────────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Discussion Portal <no-reply@localhost>';
+
+const formatMessage = ({ from, to, subject, text }) => [
+  `Date: ${new Date().toISOString()}`,
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  '',
+  text,
+  '',
+  '─'.repeat(60),
+  '',
+].join('\n');
+
+// ── Built-in transports ──────────────────────────────────
+
+const fileTransport = {
+  send: async (message) => {
+    const file = process.env.MAIL_FILE || path.join(__dirname, '..', '..', 'logs', 'mail.log');
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, formatMessage(message));
+  },
+};
+
+const logTransport = {
+  send: async (message) => {
+    logger.info(`📧 Mail\n${formatMessage(message)}`);
+  },
+};
+
+const transports = { file: fileTransport, log: logTransport };
+
+let transport = transports[process.env.MAIL_TRANSPORT] || fileTransport;
+
+/**
+ * Replace the active transport
+ * @param {{ send: Function }} custom
+ */
+const setTransport = (custom) => {
+  if (!custom || typeof custom.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = custom;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {{ to: string, subject: string, text: string }} message
+ */
+const sendMail = ({ to, subject, text }) => transport.send({ from: MAIL_FROM, to, subject, text });
+
+/**
+ * Build a link into the frontend app (reset / verify pages)
+ */
+const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v));
+  return url.toString();
+};
+
+module.exports = { sendMail, setTransport, appUrl };
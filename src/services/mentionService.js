@@ -0,0 +1,59 @@
+// src/services/mentionService.js
+// ─────────────────────────────────────────────────────────
+// @username mentions in posts and comments
+// Parsed from the source text (not inside Markdown code),
+// resolved case-insensitively against users; the ids are
+// stored on the content as `mentions`.
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+
+// Usernames are 3–30 letters/digits. Not preceded by a word
+// character (emails) or by "/" (URLs)
+const MENTION_RE = /(?<![\w@/])@([a-z0-9]{3,30})(?![a-z0-9])/gi;
+
+const MAX_MENTIONS = 20;
+
+// Fenced blocks, then inline code spans
+const stripMarkdownCode = (content) => content
+  .replace(/^(```|~~~)[^\n]*\n[\s\S]*?(?:^\1[^\n]*$|(?![\s\S]))/gm, '')
+  .replace(/`[^`\n]*`/g, '');
+
+/**
+ * Usernames mentioned in content, lowercased, in order of first
+ * appearance (at most MAX_MENTIONS)
+ * @param {string} content
+ * @param {'plain'|'markdown'} [format]
+ * @returns {string[]}
+ */
+const parseMentions = (content, format = 'plain') => {
+  const text = format === 'markdown' ? stripMarkdownCode(content || '') : (content || '');
+  const names = new Set();
+  for (const match of text.matchAll(MENTION_RE)) {
+    names.add(match[1].toLowerCase());
+    if (names.size >= MAX_MENTIONS) break;
+  }
+  return [...names];
+};
+
+/**
+ * Ids of the active users mentioned in content. Usernames differing
+ * only in case resolve to the exact match, else the oldest account.
+ * @returns {Promise<string[]>}
+ */
+const resolveMentions = async (content, format = 'plain') => {
+  const names = parseMentions(content, format);
+  if (names.length === 0) return [];
+
+  const result = await query(
+    `SELECT DISTINCT ON (LOWER(username)) id, LOWER(username) AS name
+     FROM users
+     WHERE LOWER(username) = ANY($1) AND is_active = true
+     ORDER BY LOWER(username), (username = ANY($2)) DESC, created_at`,
+    [names, [...(content || '').matchAll(MENTION_RE)].map(m => m[1])]
+  );
+
+  const idByName = new Map(result.rows.map(r => [r.name, r.id]));
+  return names.map(name => idByName.get(name)).filter(Boolean);
+};
+
+module.exports = { parseMentions, resolveMentions };
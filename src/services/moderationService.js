@@ -0,0 +1,101 @@
+// src/services/moderationService.js
+// ─────────────────────────────────────────────────────────
+// Moderation actions shared by their own endpoints and the
+// reports queue (which can escalate a report into any of them)
+// Callers are responsible for permission checks + logActivity
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Revision = require('../models/Revision');
+const { removeAttachmentsFor, removeThreadAttachments } = require('./attachmentService');
+const { removeThreadNotifications } = require('./notificationService');
+const { liftActiveBans, getActiveBan } = require('./banService');
+const { revokeAllSessions } = require('./tokenService');
+const { renderedFields } = require('../utils/markdown');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Ban a user — replaces any active ban and ends every session
+ * @returns {Promise<object>} the new active ban row
+ */
+const banAccount = async ({ userId, bannedBy, reason, expiresAt = null }) => {
+  // Can't ban another admin
+  const targetResult = await query(`SELECT id, role FROM users WHERE id = $1`, [userId]);
+  const target = targetResult.rows[0];
+  if (!target) throw new AppError('User not found.', 404);
+  if (target.role === 'admin') throw new AppError('Cannot ban an admin.', 403);
+
+  // Update user ban status
+  await query(
+    `UPDATE users SET is_banned = true, ban_reason = $1 WHERE id = $2`,
+    [reason, userId]
+  );
+
+  // A new ban replaces whatever ban was active before
+  await liftActiveBans(userId, bannedBy, 'Superseded by a new ban');
+
+  // Record ban in ban history
+  await query(
+    `INSERT INTO user_bans (user_id, banned_by, reason, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, bannedBy, reason, expiresAt || null]
+  );
+
+  // Kick the user out of every active session immediately
+  await revokeAllSessions(userId);
+
+  return getActiveBan(userId);
+};
+
+/**
+ * Hard-delete a thread: PostgreSQL row, MongoDB content, attachments
+ * @returns {Promise<object>} the deleted thread (id, title, slug, author_id)
+ */
+const removeThread = async (threadId) => {
+  const threadResult = await query(`SELECT id, title, slug, author_id FROM threads WHERE id = $1`, [threadId]);
+  const thread = threadResult.rows[0];
+  if (!thread) throw new AppError('Thread not found.', 404);
+
+  // PostgreSQL CASCADE will handle any FK constraints
+  await query(`DELETE FROM threads WHERE id = $1`, [threadId]);
+  await removeThreadAttachments([threadId]);
+  await Post.deleteOne({ threadId });
+  await Comment.deleteMany({ threadId });
+  await Revision.deleteMany({ threadId });
+  await removeThreadNotifications([threadId]);
+
+  return thread;
+};
+
+/**
+ * Soft-delete a comment and keep reply_count in sync
+ * @returns {Promise<object>} the deleted comment
+ */
+const removeComment = async (threadId, commentId) => {
+  // Soft delete — keeps comment in place for threaded context
+  // Replies to deleted comments remain visible
+  const comment = await Comment.findOneAndUpdate(
+    { _id: commentId, threadId, isDeleted: false },
+    {
+      $set: {
+        isDeleted: true, deletedAt: new Date(), attachments: [], mentions: [], quote: null,
+        content: '[deleted]', ...renderedFields('[deleted]'),
+      },
+    },
+    { new: true }
+  );
+  if (!comment) throw new AppError('Comment not found.', 404);
+
+  await removeAttachmentsFor([comment._id]);
+
+  // Decrement reply count
+  await query(
+    `UPDATE threads SET reply_count = GREATEST(reply_count - 1, 0) WHERE id = $1`,
+    [threadId]
+  );
+
+  return comment;
+};
+
+module.exports = { banAccount, removeThread, removeComment };
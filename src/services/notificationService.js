@@ -0,0 +1,273 @@
+// src/services/notificationService.js
+// ─────────────────────────────────────────────────────────
+// In-app notifications
+// Producers (controllers) call notify / notifyUpvote without
+// awaiting, like logActivity — a failed notification is logged,
+// never surfaced to the request that caused it.
+//
+// Nobody is notified about their own actions, about types they
+// turned off (notification_preferences; no row = on), or about
+// threads they can't read (moderation notices excepted — the
+// content may just have been moved out of their reach).
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const logger = require('../config/logger');
+const Notification = require('../models/Notification');
+const { readableSql } = require('./accessService');
+const { AppError } = require('../middleware/errorHandler');
+
+const NOTIFICATION_TYPES = ['thread_reply', 'comment_reply', 'mention', 'upvote', 'moderation'];
+
+const logFailure = (err) => logger.error(`Notification failed: ${err.message}`);
+
+// ── Preferences ──────────────────────────────────────────
+
+/**
+ * Every type → enabled
+ * @returns {Promise<Object<string, boolean>>}
+ */
+const getPreferences = async (userId) => {
+  const result = await query(
+    `SELECT type, enabled FROM notification_preferences WHERE user_id = $1`,
+    [userId]
+  );
+  const preferences = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true]));
+  for (const row of result.rows) preferences[row.type] = row.enabled;
+  return preferences;
+};
+
+/**
+ * Turn types on/off — types not in `changes` keep their setting
+ * @param {Object<string, boolean>} changes
+ */
+const setPreferences = async (userId, changes) => {
+  const types = Object.keys(changes).filter(type => NOTIFICATION_TYPES.includes(type));
+  if (types.length > 0) {
+    await query(
+      `INSERT INTO notification_preferences (user_id, type, enabled)
+       SELECT $1, p.type, p.enabled
+       FROM UNNEST($2::notification_type[], $3::BOOLEAN[]) AS p(type, enabled)
+       ON CONFLICT (user_id, type) DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = NOW()`,
+      [userId, types, types.map(type => changes[type])]
+    );
+  }
+  return getPreferences(userId);
+};
+
+// ── Producing ────────────────────────────────────────────
+
+const findThread = async (threadId) => {
+  const result = await query(`SELECT id, title, slug FROM threads WHERE id = $1`, [threadId]);
+  return result.rows[0] || null;
+};
+
+const threadIdOf = (thread) => (typeof thread === 'string' ? thread : thread?.id);
+
+const canReadThread = async (threadId, userId) => {
+  const result = await query(
+    `SELECT 1 FROM threads t WHERE t.id = $1 AND ${readableSql('t.category_id', '$2')}`,
+    [threadId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Of `userIds`, those who should get a `type` notification
+ */
+const filterRecipients = async (userIds, type, actorId, threadId) => {
+  const candidates = [...new Set(userIds.filter(id => id && id !== actorId))];
+  if (candidates.length === 0) return [];
+
+  const result = await query(
+    `SELECT u.id FROM users u
+     WHERE u.id = ANY($1::UUID[]) AND u.is_active = true AND u.is_banned = false
+       AND NOT EXISTS (
+         SELECT 1 FROM notification_preferences p
+         WHERE p.user_id = u.id AND p.type = $2 AND p.enabled = false
+       )`,
+    [candidates, type]
+  );
+  const wanted = result.rows.map(r => r.id);
+  if (type === 'moderation' || !threadId) return wanted;
+
+  const readable = await Promise.all(wanted.map(id => canReadThread(threadId, id)));
+  return wanted.filter((id, i) => readable[i]);
+};
+
+const deliver = async ({ type, recipients, actor, thread, commentId = null, data = {} }) => {
+  const userIds = await filterRecipients(recipients, type, actor?.id, threadIdOf(thread));
+  if (userIds.length === 0) return;
+
+  const threadRow = typeof thread === 'string' ? await findThread(thread) : thread;
+  if (!threadRow && type !== 'moderation') return;  // Deleted meanwhile
+
+  await Notification.insertMany(userIds.map(userId => ({
+    userId,
+    type,
+    actorId:       actor?.id || null,
+    actorUsername: actor?.username || null,
+    threadId:      threadRow?.id || null,
+    threadTitle:   threadRow?.title || null,
+    threadSlug:    threadRow?.slug || null,
+    commentId:     commentId ? String(commentId) : null,
+    data,
+  })));
+};
+
+/**
+ * Notify users of something `actor` did (fire-and-forget)
+ * @param {object} opts
+ * @param {'thread_reply'|'comment_reply'|'mention'|'moderation'} opts.type
+ * @param {string[]} opts.recipients - user ids; the actor and duplicates are dropped
+ * @param {{ id, username }} opts.actor
+ * @param {string|{ id, title, slug }} opts.thread - thread id, or the row
+ *   itself (required for threads that no longer exist)
+ * @param {string} [opts.commentId]
+ * @param {object} [opts.data] - type-specific details
+ */
+const notify = (opts) => {
+  deliver(opts).catch(logFailure);
+};
+
+const deliverUpvote = async ({ recipient, actor, thread, commentId = null }) => {
+  const [userId] = await filterRecipients([recipient], 'upvote', actor.id, threadIdOf(thread));
+  if (!userId) return;
+
+  const threadRow = typeof thread === 'string' ? await findThread(thread) : thread;
+  if (!threadRow) return;
+
+  const groupKey = commentId ? `upvote:comment:${commentId}` : `upvote:thread:${threadRow.id}`;
+  try {
+    await Notification.updateOne(
+      // Voters already in the open batch don't count twice
+      { userId, groupKey, isRead: false, actorIds: { $ne: actor.id } },
+      {
+        $addToSet: { actorIds: actor.id },
+        $set: {
+          actorId: actor.id, actorUsername: actor.username,
+          threadTitle: threadRow.title, threadSlug: threadRow.slug,
+        },
+        $setOnInsert: {
+          type: 'upvote', threadId: threadRow.id, commentId: commentId ? String(commentId) : null, data: {},
+        },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    // Duplicate key: an open batch exists that already counts this
+    // voter, or another vote created the batch a moment ago — join it
+    if (err.code !== 11000) throw err;
+    await Notification.updateOne(
+      { userId, groupKey, isRead: false, actorIds: { $ne: actor.id } },
+      {
+        $addToSet: { actorIds: actor.id },
+        $set: { actorId: actor.id, actorUsername: actor.username },
+      }
+    );
+  }
+};
+
+/**
+ * Notify an author of an upvote (fire-and-forget). Upvotes on the
+ * same post/comment are batched into one unread notification.
+ * @param {object} opts
+ * @param {string} opts.recipient - the author
+ * @param {{ id, username }} opts.actor - the voter
+ * @param {string|{ id, title, slug }} opts.thread
+ * @param {string} [opts.commentId] - omitted for the opening post
+ */
+const notifyUpvote = (opts) => {
+  deliverUpvote(opts).catch(logFailure);
+};
+
+/**
+ * Notify the author of content a moderator acted on (fire-and-forget)
+ * @param {string} action - e.g. 'thread_locked', 'comment_deleted'
+ */
+const notifyModeration = ({ recipient, actor, thread, commentId, action, ...details }) => {
+  notify({
+    type:       'moderation',
+    recipients: [recipient],
+    actor,
+    thread,
+    commentId,
+    data:       { action, ...details },
+  });
+};
+
+/**
+ * Drop notifications pointing into deleted threads — moderation
+ * notices stay, they explain the removal
+ * @param {string[]} threadIds
+ */
+const removeThreadNotifications = (threadIds) =>
+  Notification.deleteMany({ threadId: { $in: threadIds }, type: { $ne: 'moderation' } });
+
+// ── Reading ──────────────────────────────────────────────
+
+/**
+ * Shape a notification for API responses
+ */
+const formatNotification = (n) => ({
+  id:        n._id,
+  type:      n.type,
+  actor:     n.actorId && { id: n.actorId, username: n.actorUsername },
+  count:     n.actorIds ? n.actorIds.length : 1,
+  thread:    n.threadId && { id: n.threadId, title: n.threadTitle, slug: n.threadSlug },
+  commentId: n.commentId,
+  data:      n.data || {},
+  isRead:    n.isRead,
+  readAt:    n.readAt,
+  createdAt: n.createdAt,
+  updatedAt: n.updatedAt,
+});
+
+const countUnread = (userId) => Notification.countDocuments({ userId, isRead: false });
+
+/**
+ * A page of a user's notifications, latest activity first
+ * @returns {Promise<{ notifications, total, unreadCount }>}
+ */
+const listNotifications = async (userId, { unreadOnly = false, limit, offset }) => {
+  const filter = unreadOnly ? { userId, isRead: false } : { userId };
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter).sort({ updatedAt: -1, _id: -1 }).skip(offset).limit(limit).lean(),
+    Notification.countDocuments(filter),
+    countUnread(userId),
+  ]);
+
+  return { notifications: notifications.map(formatNotification), total, unreadCount };
+};
+
+/**
+ * @throws {AppError} 404 if it isn't one of the user's notifications
+ */
+const markRead = async (userId, notificationId) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, userId },
+    [{ $set: { isRead: true, readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+    { new: true, timestamps: false }
+  ).lean();
+  if (!notification) throw new AppError('Notification not found.', 404);
+  return formatNotification(notification);
+};
+
+/**
+ * @returns {Promise<number>} how many were unread
+ */
+const markAllRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } },
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  getPreferences, setPreferences,
+  notify, notifyUpvote, notifyModeration, removeThreadNotifications,
+  listNotifications, countUnread, markRead, markAllRead,
+};
@@ -0,0 +1,93 @@
+// src/services/quoteService.js
+// ─────────────────────────────────────────────────────────
+// Quote-replies: a comment quoting another comment
+// The quote stores a snapshot of the quoted text, so editing
+// the original doesn't rewrite history, plus the original's id
+// (kept through merge/split) so clients can link to it.
+// Reads resolve every quote against the original's current
+// state: where it lives now, whether it was edited since, and
+// — if it was deleted — the snapshot is hidden too.
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const Comment = require('../models/Comment');
+const { readableSql } = require('./accessService');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_QUOTE_LENGTH = 1000;
+
+/**
+ * Snapshot a comment for a quote-reply in the same thread
+ * @param {object} opts - commentId, text (optional excerpt — must
+ *   appear in the quoted comment; defaults to the whole comment)
+ * @returns {Promise<object>} the `quote` to store on the reply
+ */
+const buildQuote = async (threadId, { commentId, text }) => {
+  const quoted = await Comment.findOne(
+    { _id: commentId, threadId, isDeleted: false },
+    'authorId authorUsername content'
+  ).lean();
+  if (!quoted) throw new AppError('Quoted comment not found.', 404);
+
+  const excerpt = text ? text.trim() : quoted.content;
+  if (text && !quoted.content.includes(excerpt)) {
+    throw new AppError('Quoted text must be part of the quoted comment.', 400);
+  }
+
+  return {
+    commentId:      quoted._id,
+    authorId:       quoted.authorId,
+    authorUsername: quoted.authorUsername,
+    content:        excerpt.length > MAX_QUOTE_LENGTH ? `${excerpt.slice(0, MAX_QUOTE_LENGTH)}…` : excerpt,
+    quotedAt:       new Date(),
+  };
+};
+
+/**
+ * Add the quoted comment's current state to each quote, in one
+ * query: threadId (where it lives now), isDeleted, editedSinceQuote
+ * @param {object[]} comments - plain objects (lean / toJSON)
+ */
+const resolveQuotes = async (comments) => {
+  const quoting = comments.filter(c => c.quote?.commentId && !c.isDeleted);
+  if (quoting.length === 0) return comments;
+
+  const originals = await Comment.find(
+    { _id: { $in: quoting.map(c => c.quote.commentId) } },
+    'threadId isDeleted editedAt'
+  ).lean();
+  const byId = new Map(originals.map(o => [String(o._id), o]));
+
+  for (const comment of quoting) {
+    const original = byId.get(String(comment.quote.commentId));
+    const gone = !original || original.isDeleted;
+    comment.quote = {
+      ...comment.quote,
+      threadId:         original?.threadId || null,
+      isDeleted:        gone,
+      editedSinceQuote: Boolean(!gone && original.editedAt && original.editedAt > comment.quote.quotedAt),
+      ...(gone && { content: '[deleted]' }),
+    };
+  }
+  return comments;
+};
+
+/**
+ * Live comments quoting `commentId`, in threads the viewer can read
+ * @returns {Promise<object[]>} { _id, threadId, authorId, authorUsername, createdAt }
+ */
+const getQuotingComments = async (commentId, userId) => {
+  const replies = await Comment.find(
+    { 'quote.commentId': commentId, isDeleted: false },
+    'threadId authorId authorUsername createdAt'
+  ).sort({ createdAt: 1 }).lean();
+  if (replies.length === 0) return [];
+
+  const readable = await query(
+    `SELECT t.id FROM threads t WHERE t.id = ANY($1::UUID[]) AND ${readableSql('t.category_id', '$2')}`,
+    [[...new Set(replies.map(r => r.threadId))], userId]
+  );
+  const readableIds = new Set(readable.rows.map(r => r.id));
+  return replies.filter(r => readableIds.has(r.threadId));
+};
+
+module.exports = { buildQuote, resolveQuotes, getQuotingComments };
@@ -0,0 +1,58 @@
+// src/services/renderService.js
+// ─────────────────────────────────────────────────────────
+// Keeps the stored HTML of posts and comments current
+// Writes render eagerly (utils/markdown.renderedFields); reads
+// call these to fill in documents that were never rendered
+// (created before formats existed) or were rendered by an
+// older RENDER_VERSION. The fresh HTML is returned right away
+// and saved in the background.
+// ─────────────────────────────────────────────────────────
+const logger = require('../config/logger');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { RENDER_VERSION, renderedFields } = require('../utils/markdown');
+
+const isStale = (doc) => doc.renderVersion !== RENDER_VERSION || doc.contentHtml == null;
+
+const logFailure = (err) => logger.error(`Saving rendered HTML failed: ${err.message}`);
+
+/**
+ * Ensure a post (lean or hydrated) has current originalPost.contentHtml
+ */
+const ensurePostRendered = (post) => {
+  const op = post.originalPost;
+  if (!isStale(op)) return post;
+
+  const fields = renderedFields(op.content, op.format);
+  Object.assign(op, fields);
+
+  // Only if the content hasn't been edited meanwhile
+  Post.updateOne(
+    { _id: post._id, 'originalPost.content': op.content },
+    { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`originalPost.${key}`, value])) }
+  ).catch(logFailure);
+
+  return post;
+};
+
+/**
+ * Ensure comments (lean or hydrated) have current contentHtml —
+ * deleted ones are left alone
+ */
+const ensureCommentsRendered = (comments) => {
+  const stale = comments.filter(c => !c.isDeleted && isStale(c));
+  if (stale.length === 0) return comments;
+
+  for (const comment of stale) Object.assign(comment, renderedFields(comment.content, comment.format));
+
+  Comment.bulkWrite(stale.map(c => ({
+    updateOne: {
+      filter: { _id: c._id, content: c.content },
+      update: { $set: { format: c.format, contentHtml: c.contentHtml, renderVersion: c.renderVersion } },
+    },
+  })), { ordered: false }).catch(logFailure);
+
+  return comments;
+};
+
+module.exports = { ensurePostRendered, ensureCommentsRendered };
@@ -0,0 +1,152 @@
+// src/services/revisionService.js
+// ─────────────────────────────────────────────────────────
+// Edit history for opening posts and comments
+// • recordRevision — call BEFORE overwriting content
+// • getHistory     — every version, oldest first, each with a
+//                    line diff against the version before it
+// • restore*       — a restore is itself an edit, so it is
+//                    recorded too and can be undone
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Revision = require('../models/Revision');
+const { diffLines } = require('../utils/diff');
+const { renderContent, renderedFields } = require('../utils/markdown');
+const { resolveMentions } = require('./mentionService');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Save the version an edit is about to replace
+ * @param {object} rev - docType, docId, threadId, editor (req.user),
+ *   title (posts), content, format, restoredFrom (revision _id, for restores)
+ */
+const recordRevision = ({ docType, docId, threadId, editor, title, content, format, restoredFrom = null }) =>
+  Revision.create({
+    docType,
+    docId,
+    threadId,
+    editorId:       editor.id,
+    editorUsername: editor.username,
+    title,
+    content,
+    format,
+    restoredFrom,
+  });
+
+/**
+ * All versions of a post/comment, oldest first
+ * @param {ObjectId} docId
+ * @param {object} original - authorId, authorUsername, createdAt (version 1)
+ * @param {object} current  - content, format (+ title) of the live version
+ * @returns {Promise<object[]>} { version, revisionId (null = live),
+ *   title?, content, format, contentHtml, editedBy, editedAt,
+ *   restoredFromVersion, diff }
+ */
+const getHistory = async (docId, original, current) => {
+  const revisions = await Revision.find({ docId }).sort({ createdAt: 1, _id: 1 }).lean();
+
+  // revisions[i] holds version i+1; the live document is the last version
+  const states = [
+    ...revisions.map(r => ({ revisionId: r._id, title: r.title, content: r.content, format: r.format })),
+    { revisionId: null, title: current.title, content: current.content, format: current.format },
+  ];
+  const versionOf = new Map(revisions.map((r, i) => [String(r._id), i + 1]));
+
+  return states.map((state, i) => {
+    // Version i+1 was produced by the edit stored in revisions[i-1]
+    const edit = i > 0 ? revisions[i - 1] : null;
+    const prev = i > 0 ? states[i - 1] : null;
+
+    return {
+      version:    i + 1,
+      revisionId: state.revisionId,
+      ...(state.title !== undefined && { title: state.title }),
+      content:    state.content,
+      format:     state.format || 'plain',
+      contentHtml: renderContent(state.content, state.format),
+      editedBy:   edit
+        ? { id: edit.editorId, username: edit.editorUsername }
+        : { id: original.authorId, username: original.authorUsername },
+      editedAt:   edit ? edit.createdAt : original.createdAt,
+      restoredFromVersion: edit?.restoredFrom ? versionOf.get(String(edit.restoredFrom)) || null : null,
+      diff:       prev ? diffLines(prev.content, state.content) : null,
+    };
+  });
+};
+
+/**
+ * Put an opening post (content + thread title) back to a revision
+ */
+const restorePostRevision = async (threadId, revisionId, editor) => {
+  const [threadResult, post] = await Promise.all([
+    query(`SELECT id, title FROM threads WHERE id = $1`, [threadId]),
+    Post.findOne({ threadId }, 'originalPost.content originalPost.format').lean(),
+  ]);
+  if (!threadResult.rows[0] || !post) throw new AppError('Thread not found.', 404);
+
+  const revision = await Revision.findOne({ _id: revisionId, docId: post._id }).lean();
+  if (!revision) throw new AppError('Revision not found.', 404);
+
+  await recordRevision({
+    docType:      'post',
+    docId:        post._id,
+    threadId,
+    editor,
+    title:        threadResult.rows[0].title,
+    content:      post.originalPost.content,
+    format:       post.originalPost.format,
+    restoredFrom: revision._id,
+  });
+
+  if (revision.title) {
+    await query(`UPDATE threads SET title = $1 WHERE id = $2`, [revision.title, threadId]);
+  }
+  return Post.findOneAndUpdate(
+    { threadId },
+    {
+      $set: {
+        'originalPost.content':  revision.content,
+        ...renderedFields(revision.content, revision.format, 'originalPost.'),
+        'originalPost.mentions': await resolveMentions(revision.content, revision.format),
+        'originalPost.isEdited': true,
+        'originalPost.editedAt': new Date(),
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Put a comment back to a revision
+ */
+const restoreCommentRevision = async (threadId, commentId, revisionId, editor) => {
+  const comment = await Comment.findOne({ _id: commentId, threadId, isDeleted: false });
+  if (!comment) throw new AppError('Comment not found.', 404);
+
+  const revision = await Revision.findOne({ _id: revisionId, docId: comment._id }).lean();
+  if (!revision) throw new AppError('Revision not found.', 404);
+
+  await recordRevision({
+    docType:      'comment',
+    docId:        comment._id,
+    threadId,
+    editor,
+    content:      comment.content,
+    format:       comment.format,
+    restoredFrom: revision._id,
+  });
+
+  comment.set({
+    content:  revision.content,
+    ...renderedFields(revision.content, revision.format),
+    mentions: await resolveMentions(revision.content, revision.format),
+  });
+  comment.isEdited = true;
+  comment.editedAt = new Date();
+  await comment.save();
+
+  return comment;
+};
+
+module.exports = { recordRevision, getHistory, restorePostRevision, restoreCommentRevision };
@@ -0,0 +1,214 @@
+// src/services/searchService.js
+// ─────────────────────────────────────────────────────────
+// Unified full-text search: thread titles, opening posts,
+// comments and tags
+//
+// Content is split across both databases, so:
+// 1. MongoDB text indexes pick candidate posts + comments
+//    (best SEARCH_CANDIDATES of each, filters applied)
+// 2. PostgreSQL ranks titles AND those candidates with the
+//    same tsquery → one comparable rank, one set of snippets,
+//    plus category / status filters via JOIN
+// Deleted comments and categories the viewer can't read never
+// match (archived categories are read-only, so they do).
+// ─────────────────────────────────────────────────────────
+const { query } = require('../config/postgres');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { readableSql } = require('./accessService');
+
+const SEARCH_CANDIDATES = 200;
+
+// Highlight markers; everything else in a snippet is escaped
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Escape user content but keep ts_headline's <mark> tags
+const safeSnippet = (snippet) => snippet && snippet
+  .split(/(<\/?mark>)/)
+  .map(part => (part === '<mark>' || part === '</mark>' ? part : escapeHtml(part)))
+  .join('');
+
+const dateRange = ({ from, to }) => {
+  if (!from && !to) return null;
+  return { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+};
+
+/**
+ * MongoDB candidates: opening posts (content + tags) and live comments
+ */
+const findCandidates = async (q, { authorId, tag, from, to }) => {
+  const created = dateRange({ from, to });
+  const textScore = { score: { $meta: 'textScore' } };
+
+  // Tag filter for comments = comments in threads carrying the tag
+  const taggedThreadIds = tag
+    ? (await Post.find({ tags: tag }, 'threadId').lean()).map(p => p.threadId)
+    : null;
+
+  const [posts, comments] = await Promise.all([
+    Post.find({
+      $text: { $search: q },
+      ...(tag && { tags: tag }),
+      ...(authorId && { 'originalPost.authorId': authorId }),
+      ...(created && { createdAt: created }),
+    }, { ...textScore, threadId: 1, 'originalPost.content': 1, tags: 1 })
+      .sort(textScore)
+      .limit(SEARCH_CANDIDATES)
+      .lean(),
+    Comment.find({
+      $text: { $search: q },
+      isDeleted: false,
+      ...(taggedThreadIds && { threadId: { $in: taggedThreadIds } }),
+      ...(authorId && { authorId }),
+      ...(created && { createdAt: created }),
+    }, { ...textScore, threadId: 1, authorId: 1, authorUsername: 1, content: 1, createdAt: 1 })
+      .sort(textScore)
+      .limit(SEARCH_CANDIDATES)
+      .lean(),
+  ]);
+
+  return { posts, comments, taggedThreadIds };
+};
+
+/**
+ * Search everything, ranked
+ * @param {string} q - websearch syntax: words, "phrases", OR, -exclude
+ * @param {object} filters - categoryId, authorId, tag, from, to, type
+ * @param {object} page - limit, offset, userId (viewer; null for guests)
+ * @returns {Promise<{results: object[], total: number}>}
+ */
+const search = async (q, filters, { limit, offset, userId = null }) => {
+  const { categoryId, authorId, from, to, type } = filters;
+  const { posts, comments, taggedThreadIds } = await findCandidates(q, filters);
+
+  const params = [
+    q,                                         // $1
+    posts.map(p => p.threadId),                // $2
+    posts.map(p => p.originalPost.content),    // $3
+    posts.map(p => (p.tags || []).join(' ')),  // $4
+    comments.map(c => String(c._id)),          // $5
+    comments.map(c => c.threadId),             // $6
+    comments.map(c => c.content),              // $7
+    HEADLINE_OPTIONS,                          // $8
+    categoryId || null,                        // $9
+    authorId || null,                          // $10
+    from || null,                              // $11
+    to || null,                                // $12
+    taggedThreadIds,                           // $13 (null = no tag filter)
+    limit,                                     // $14
+    offset,                                    // $15
+    userId,                                    // $16
+  ];
+
+  // Threads: title match (GIN index) and/or opening-post candidate;
+  // the title weighs double
+  const threadHits = `
+    thread_ids AS (
+      SELECT t.id FROM threads t, q WHERE to_tsvector('english', t.title) @@ q.query
+      UNION
+      SELECT thread_id FROM bodies
+    ),
+    thread_hits AS (
+      SELECT t.id AS thread_id,
+             2 * ts_rank(to_tsvector('english', t.title), q.query)
+               + COALESCE(ts_rank(setweight(to_tsvector('english', b.tags), 'B')
+                                  || to_tsvector('english', b.body), q.query), 0) AS rank,
+             ts_headline('english', COALESCE(b.body, t.title), q.query, $8) AS snippet
+      FROM thread_ids i
+      JOIN threads t ON t.id = i.id
+      CROSS JOIN q
+      LEFT JOIN bodies b ON b.thread_id = t.id
+      WHERE ($10::UUID IS NULL OR t.author_id = $10)
+        AND ($11::TIMESTAMPTZ IS NULL OR t.created_at >= $11)
+        AND ($12::TIMESTAMPTZ IS NULL OR t.created_at <= $12)
+        AND ($13::UUID[] IS NULL OR t.id = ANY($13))
+    )`;
+
+  const commentHits = `
+    comment_hits AS (
+      SELECT c.comment_id, c.thread_id,
+             ts_rank(to_tsvector('english', c.body), q.query) AS rank,
+             ts_headline('english', c.body, q.query, $8) AS snippet
+      FROM unnest($5::TEXT[], $6::UUID[], $7::TEXT[]) AS c(comment_id, thread_id, body)
+      CROSS JOIN q
+    )`;
+
+  const selects = [];
+  if (type !== 'comment') {
+    selects.push(`
+      SELECT 'thread' AS type, h.thread_id, NULL AS comment_id, h.rank, h.snippet,
+             t.author_id, u.username AS author_username, t.created_at
+      FROM thread_hits h
+      JOIN threads t ON t.id = h.thread_id
+      JOIN users u   ON u.id = t.author_id`);
+  }
+  if (type !== 'thread') {
+    selects.push(`
+      SELECT 'comment' AS type, h.thread_id, h.comment_id, h.rank, h.snippet,
+             NULL::UUID, NULL::VARCHAR, NULL::TIMESTAMPTZ
+      FROM comment_hits h`);
+  }
+
+  const result = await query(
+    `WITH q AS (SELECT websearch_to_tsquery('english', $1) AS query),
+     bodies AS (
+       SELECT * FROM unnest($2::UUID[], $3::TEXT[], $4::TEXT[]) AS b(thread_id, body, tags)
+     ),
+     ${threadHits},
+     ${commentHits},
+     hits AS (${selects.join(' UNION ALL ')})
+     SELECT h.type, h.thread_id, h.comment_id, h.rank, h.snippet,
+            h.author_id, h.author_username, h.created_at,
+            t.title AS thread_title, t.slug AS thread_slug,
+            ts_headline('english', t.title, q.query, $8) AS title_highlight,
+            c.id AS category_id, c.name AS category_name, c.slug AS category_slug,
+            COUNT(*) OVER ()::INTEGER AS total
+     FROM hits h
+     CROSS JOIN q
+     JOIN threads t    ON t.id = h.thread_id
+     JOIN categories c ON c.id = t.category_id
+     WHERE ($9::UUID IS NULL OR c.id = $9)
+       AND ${readableSql('c.id', '$16')}
+     ORDER BY h.rank DESC, h.thread_id, h.comment_id NULLS FIRST
+     LIMIT $14 OFFSET $15`,
+    params
+  );
+
+  // Comment authors + timestamps come from the MongoDB candidates
+  const commentsById = new Map(comments.map(c => [String(c._id), c]));
+  const pageThreadIds = [...new Set(result.rows.map(r => r.thread_id))];
+  const tagDocs = await Post.find({ threadId: { $in: pageThreadIds } }, 'threadId tags').lean();
+  const tagsByThread = new Map(tagDocs.map(p => [p.threadId, p.tags || []]));
+
+  const results = result.rows.map((row) => {
+    const comment = row.comment_id && commentsById.get(row.comment_id);
+    return {
+      type:      row.type,
+      rank:      Number(row.rank.toFixed(6)),
+      snippet:   safeSnippet(row.snippet),
+      thread: {
+        id:             row.thread_id,
+        title:          row.thread_title,
+        slug:           row.thread_slug,
+        titleHighlight: safeSnippet(row.title_highlight),
+        tags:           tagsByThread.get(row.thread_id) || [],
+      },
+      category: { id: row.category_id, name: row.category_name, slug: row.category_slug },
+      ...(comment && { commentId: row.comment_id }),
+      author: comment
+        ? { id: comment.authorId, username: comment.authorUsername }
+        : { id: row.author_id, username: row.author_username },
+      createdAt: comment ? comment.createdAt : row.created_at,
+    };
+  });
+
+  return { results, total: result.rows[0]?.total || 0 };
+};
+
+module.exports = { search };
@@ -0,0 +1,49 @@
+// src/services/storage/index.js
+// ─────────────────────────────────────────────────────────
+// Attachment bytes behind a pluggable storage driver
+//
+// A driver is any object with:
+// • put(key, buffer, contentType) → Promise
+// • get(key)                      → Promise<Readable | null>
+// • remove(key)                   → Promise (missing keys are fine)
+// Built-in drivers, picked with STORAGE_DRIVER:
+// • local → files under UPLOAD_DIR (default uploads/)
+// • s3    → any S3-compatible bucket (AWS, MinIO, R2…)
+// Other backends can be registered with setDriver() at startup.
+// ─────────────────────────────────────────────────────────
+const path = require('path');
+const { createLocalDriver } = require('./local');
+const { createS3Driver } = require('./s3');
+
+const builtIn = {
+  local: () => createLocalDriver({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', '..', 'uploads'),
+  }),
+  s3: () => createS3Driver({
+    bucket:          process.env.S3_BUCKET,
+    region:          process.env.S3_REGION || 'us-east-1',
+    endpoint:        process.env.S3_ENDPOINT,
+    accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle:  process.env.S3_FORCE_PATH_STYLE === 'true',
+  }),
+};
+
+let driver = (builtIn[process.env.STORAGE_DRIVER] || builtIn.local)();
+
+/**
+ * Replace the active driver
+ * @param {{ put: Function, get: Function, remove: Function }} custom
+ */
+const setDriver = (custom) => {
+  if (!custom || !['put', 'get', 'remove'].every(fn => typeof custom[fn] === 'function')) {
+    throw new Error('Storage driver must implement put(), get() and remove()');
+  }
+  driver = custom;
+};
+
+const put    = (key, buffer, contentType) => driver.put(key, buffer, contentType);
+const get    = (key) => driver.get(key);
+const remove = (key) => driver.remove(key);
+
+module.exports = { put, get, remove, setDriver };
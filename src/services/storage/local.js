@@ -0,0 +1,36 @@
+// src/services/storage/local.js
+// ─────────────────────────────────────────────────────────
+// Storage driver: files on local disk
+// Keys map to paths below `root` (keys are generated server-side,
+// never taken from the client)
+// ─────────────────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+
+const createLocalDriver = ({ root }) => {
+  const fileFor = (key) => path.join(root, key);
+
+  return {
+    put: async (key, buffer) => {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    get: async (key) => {
+      const file = fileFor(key);
+      try {
+        await fs.promises.access(file);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+};
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,101 @@
+// src/services/storage/s3.js
+// ─────────────────────────────────────────────────────────
+// Storage driver: S3-compatible object storage
+// Plain HTTPS requests signed with AWS Signature V4 — only the
+// three object calls we need, so no SDK dependency.
+// Set S3_ENDPOINT (+ S3_FORCE_PATH_STYLE=true for MinIO and
+// most self-hosted servers) to use something other than AWS.
+// ─────────────────────────────────────────────────────────
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const urlFor = (key) => {
+    const objectPath = key.split('/').map(encodeURIComponent).join('/');
+    return forcePathStyle
+      ? new URL(`${base.origin}/${bucket}/${objectPath}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}/${objectPath}`);
+  };
+
+  /**
+   * Send a signed request
+   * @returns {Promise<Response>}
+   */
+  const send = async (method, key, { body, headers = {} } = {}) => {
+    const url = urlFor(key);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');  // 20240101T000000Z
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+
+    const signed = {
+      ...headers,
+      host:                   url.host,
+      'x-amz-date':           amzDate,
+      'x-amz-content-sha256': sha256(body || ''),
+    };
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',  // No query string
+      ...names.map(name => `${name}:${String(signed[name]).trim()}`),
+      '',
+      names.join(';'),
+      signed['x-amz-content-sha256'],
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, day), region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // fetch sets Host itself
+    const { host, ...sent } = signed;
+    return fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sent,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, `
+          + `SignedHeaders=${names.join(';')}, Signature=${signature}`,
+      },
+    });
+  };
+
+  const fail = async (action, key, res) => {
+    const detail = (await res.text().catch(() => '')).slice(0, 200);
+    throw new Error(`S3 ${action} ${key} failed: ${res.status} ${detail}`);
+  };
+
+  return {
+    put: async (key, buffer, contentType) => {
+      const res = await send('PUT', key, { body: buffer, headers: { 'content-type': contentType } });
+      if (!res.ok) await fail('PUT', key, res);
+    },
+
+    get: async (key) => {
+      const res = await send('GET', key);
+      if (res.status === 404) return null;
+      if (!res.ok) await fail('GET', key, res);
+      return Readable.fromWeb(res.body);
+    },
+
+    remove: async (key) => {
+      const res = await send('DELETE', key);
+      if (!res.ok && res.status !== 404) await fail('DELETE', key, res);
+    },
+  };
+};
+
+module.exports = { createS3Driver };
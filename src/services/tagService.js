@@ -0,0 +1,289 @@
+// src/services/tagService.js
+// ─────────────────────────────────────────────────────────
+// Tags: canonical names, aliases, blocklist, admin rewrites
+//
+// PostgreSQL (tags, thread_tags) is the source of truth;
+// MongoDB Post.tags holds the same canonical names for
+// full-text search. Every admin operation rewrites both,
+// so existing threads follow renames/merges/blocks.
+// ─────────────────────────────────────────────────────────
+const { query, getClient } = require('../config/postgres');
+const Post = require('../models/Post');
+const { readableSql } = require('./accessService');
+const { AppError } = require('../middleware/errorHandler');
+
+// "Node JS " → "node-js"
+const normalizeTag = (name) => String(name).toLowerCase().trim().replace(/\s+/g, '-');
+
+/**
+ * Look up a tag by name or alias
+ * @returns {Promise<object|null>} { id, name }
+ */
+const findTag = async (name) => {
+  const result = await query(
+    `SELECT t.id, t.name FROM tags t WHERE t.name = $1
+     UNION ALL
+     SELECT t.id, t.name FROM tag_aliases a JOIN tags t ON t.id = a.tag_id WHERE a.alias = $1
+     LIMIT 1`,
+    [normalizeTag(name)]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Turn user input into canonical tag names: normalized,
+ * aliases resolved, duplicates dropped
+ * @throws {AppError} 400 if any tag is blocklisted
+ */
+const resolveTagNames = async (names = []) => {
+  const normalized = [...new Set(names.map(normalizeTag).filter(Boolean))];
+  if (normalized.length === 0) return [];
+
+  const [aliases, blocked] = await Promise.all([
+    query(
+      `SELECT a.alias, t.name FROM tag_aliases a JOIN tags t ON t.id = a.tag_id
+       WHERE a.alias = ANY($1)`,
+      [normalized]
+    ),
+    query(`SELECT name FROM tag_blocklist WHERE name = ANY($1)`, [normalized]),
+  ]);
+
+  if (blocked.rows.length > 0) {
+    throw new AppError(`These tags are not allowed: ${blocked.rows.map(r => r.name).join(', ')}`, 400);
+  }
+
+  const canonical = new Map(aliases.rows.map(r => [r.alias, r.name]));
+  return [...new Set(normalized.map(n => canonical.get(n) || n))];
+};
+
+/**
+ * Replace a thread's tags in PostgreSQL (names must be canonical)
+ * @param {object} [db] - transaction client; defaults to the pool
+ */
+const setThreadTags = async (threadId, names, db = { query }) => {
+  await db.query(`DELETE FROM thread_tags WHERE thread_id = $1`, [threadId]);
+  if (names.length === 0) return;
+
+  await db.query(
+    `INSERT INTO tags (name) SELECT unnest($1::VARCHAR[]) ON CONFLICT (name) DO NOTHING`,
+    [names]
+  );
+  await db.query(
+    `INSERT INTO thread_tags (thread_id, tag_id)
+     SELECT $1, id FROM tags WHERE name = ANY($2)`,
+    [threadId, names]
+  );
+};
+
+/**
+ * Popular tags with usage counts — only threads the viewer can read
+ * count, and tags used only in hidden categories are left out
+ * @param {object} opts - search (name prefix), sort (popular|name), limit,
+ *   userId (viewer, null for guests)
+ */
+const listTags = async ({ search, sort = 'popular', limit, userId = null }) => {
+  const orderBy = sort === 'name' ? 'tg.name ASC' : 'thread_count DESC, tg.name ASC';
+  const result = await query(
+    `SELECT tg.id, tg.name,
+            COUNT(t.id)::INTEGER AS thread_count,
+            COALESCE((SELECT array_agg(a.alias ORDER BY a.alias)
+                      FROM tag_aliases a WHERE a.tag_id = tg.id), '{}') AS aliases
+     FROM tags tg
+     LEFT JOIN thread_tags tt ON tt.tag_id = tg.id
+     LEFT JOIN threads t ON t.id = tt.thread_id AND ${readableSql('t.category_id', '$3')}
+     WHERE ($1::TEXT IS NULL OR tg.name LIKE $1 || '%')
+     GROUP BY tg.id
+     HAVING COUNT(t.id) > 0 OR COUNT(tt.thread_id) = 0
+     ORDER BY ${orderBy}
+     LIMIT $2`,
+    [search ? normalizeTag(search) : null, limit, userId]
+  );
+  return result.rows;
+};
+
+// ── Admin operations ─────────────────────────────────────
+
+// Run fn(client) in a transaction
+const inTransaction = async (fn) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const lockTag = async (client, tagId) => {
+  const result = await client.query(`SELECT id, name FROM tags WHERE id = $1 FOR UPDATE`, [tagId]);
+  if (!result.rows[0]) throw new AppError('Tag not found.', 404);
+  return result.rows[0];
+};
+
+// A name about to become a tag or alias must be free
+const assertNameAvailable = async (client, name, exceptTagId = null) => {
+  const result = await client.query(
+    `SELECT 'tag' AS kind, id AS tag_id FROM tags WHERE name = $1
+     UNION ALL SELECT 'alias', tag_id FROM tag_aliases WHERE alias = $1
+     UNION ALL SELECT 'blocked', NULL FROM tag_blocklist WHERE name = $1`,
+    [name]
+  );
+  for (const row of result.rows) {
+    if (row.kind === 'blocked') throw new AppError(`"${name}" is blocklisted.`, 400);
+    if (row.tag_id !== exceptTagId) {
+      throw new AppError(
+        row.kind === 'tag'
+          ? `Tag "${name}" already exists — merge the tags instead.`
+          : `"${name}" is already an alias of another tag.`,
+        409
+      );
+    }
+  }
+  return result.rows;
+};
+
+/**
+ * Rename a tag everywhere; the old name can stay as an alias
+ */
+const renameTag = async (tagId, newName, { keepAlias = true } = {}) => {
+  const name = normalizeTag(newName);
+
+  const tag = await inTransaction(async (client) => {
+    const current = await lockTag(client, tagId);
+    if (current.name === name) return current;
+
+    // Renaming to one of its own aliases just drops that alias
+    await assertNameAvailable(client, name, tagId);
+    await client.query(`DELETE FROM tag_aliases WHERE alias = $1`, [name]);
+
+    await client.query(`UPDATE tags SET name = $1 WHERE id = $2`, [name, tagId]);
+    if (keepAlias) {
+      await client.query(`INSERT INTO tag_aliases (alias, tag_id) VALUES ($1, $2)`, [current.name, tagId]);
+    }
+    return { ...current, previousName: current.name, name };
+  });
+
+  if (tag.previousName) {
+    await Post.updateMany(
+      { tags: tag.previousName },
+      { $set: { 'tags.$[old]': name } },
+      { arrayFilters: [{ old: tag.previousName }] }
+    );
+  }
+  return { id: tag.id, name: tag.name };
+};
+
+/**
+ * Merge source into target: threads, aliases and the source
+ * name itself (as an alias) move over, source is deleted
+ */
+const mergeTags = async (sourceId, targetId) => {
+  if (sourceId === targetId) throw new AppError('Cannot merge a tag into itself.', 400);
+
+  const { source, target } = await inTransaction(async (client) => {
+    const src = await lockTag(client, sourceId);
+    const dst = await lockTag(client, targetId);
+
+    await client.query(
+      `INSERT INTO thread_tags (thread_id, tag_id)
+       SELECT thread_id, $2 FROM thread_tags WHERE tag_id = $1
+       ON CONFLICT DO NOTHING`,
+      [src.id, dst.id]
+    );
+    await client.query(`UPDATE tag_aliases SET tag_id = $2 WHERE tag_id = $1`, [src.id, dst.id]);
+    await client.query(`DELETE FROM tags WHERE id = $1`, [src.id]);
+    await client.query(`INSERT INTO tag_aliases (alias, tag_id) VALUES ($1, $2)`, [src.name, dst.id]);
+
+    return { source: src, target: dst };
+  });
+
+  // Two passes: $addToSet + $pull can't touch the same field in one update
+  await Post.updateMany({ tags: source.name }, { $addToSet: { tags: target.name } });
+  const result = await Post.updateMany({ tags: source.name }, { $pull: { tags: source.name } });
+
+  return { source, target, threadsUpdated: result.modifiedCount };
+};
+
+/**
+ * Make `alias` resolve to a tag for all future input
+ */
+const addAlias = async (tagId, aliasName) => {
+  const alias = normalizeTag(aliasName);
+
+  return inTransaction(async (client) => {
+    const tag = await lockTag(client, tagId);
+    if (tag.name === alias) throw new AppError('An alias must differ from the tag name.', 400);
+
+    const existing = await assertNameAvailable(client, alias, tagId);
+    if (existing.length > 0) throw new AppError(`"${alias}" is already an alias of this tag.`, 409);
+
+    await client.query(`INSERT INTO tag_aliases (alias, tag_id) VALUES ($1, $2)`, [alias, tagId]);
+    return { alias, tag };
+  });
+};
+
+const removeAlias = async (aliasName) => {
+  const result = await query(
+    `DELETE FROM tag_aliases WHERE alias = $1 RETURNING alias, tag_id`,
+    [normalizeTag(aliasName)]
+  );
+  if (!result.rows[0]) throw new AppError('Alias not found.', 404);
+  return result.rows[0];
+};
+
+/**
+ * Blocklist a name: it can't be used again, and the tag (plus
+ * its aliases) is stripped from every thread
+ */
+const blockTag = async (rawName, reason, blockedBy) => {
+  const name = normalizeTag(rawName);
+
+  const removed = await inTransaction(async (client) => {
+    try {
+      await client.query(
+        `INSERT INTO tag_blocklist (name, reason, blocked_by) VALUES ($1, $2, $3)`,
+        [name, reason || null, blockedBy]
+      );
+    } catch (err) {
+      if (err.code === '23505') throw new AppError(`"${name}" is already blocklisted.`, 409);
+      throw err;
+    }
+
+    // A blocked alias just stops resolving; a blocked tag goes away
+    await client.query(`DELETE FROM tag_aliases WHERE alias = $1`, [name]);
+    const deleted = await client.query(`DELETE FROM tags WHERE name = $1 RETURNING id`, [name]);
+    return deleted.rowCount > 0;
+  });
+
+  const result = removed
+    ? await Post.updateMany({ tags: name }, { $pull: { tags: name } })
+    : { modifiedCount: 0 };
+
+  return { name, threadsUpdated: result.modifiedCount };
+};
+
+const unblockTag = async (rawName) => {
+  const result = await query(`DELETE FROM tag_blocklist WHERE name = $1 RETURNING name`, [normalizeTag(rawName)]);
+  if (!result.rows[0]) throw new AppError('Tag is not blocklisted.', 404);
+};
+
+const getBlocklist = async () => {
+  const result = await query(
+    `SELECT b.name, b.reason, b.created_at, b.blocked_by, u.username AS blocked_by_username
+     FROM tag_blocklist b
+     LEFT JOIN users u ON u.id = b.blocked_by
+     ORDER BY b.name`
+  );
+  return result.rows;
+};
+
+module.exports = {
+  normalizeTag, findTag, resolveTagNames, setThreadTags, listTags,
+  renameTag, mergeTags, addAlias, removeAlias,
+  blockTag, unblockTag, getBlocklist,
+};
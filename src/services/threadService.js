@@ -0,0 +1,293 @@
+// src/services/threadService.js
+// ─────────────────────────────────────────────────────────
+// Restructuring threads (moderators): move, merge, split
+//
+// Each operation spans both databases. The PostgreSQL work
+// runs in a transaction with the MongoDB writes inside it; if
+// any step fails the transaction rolls back and the MongoDB
+// writes already made are undone.
+// Content can't be moved into an archived category.
+// reply_count / last_reply_* are recomputed from MongoDB
+// (syncThreadStats) instead of being adjusted by hand.
+// ─────────────────────────────────────────────────────────
+const { query, getClient } = require('../config/postgres');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Revision = require('../models/Revision');
+const { slugify } = require('../utils/helpers');
+const { assertCategoryWritable } = require('./accessService');
+const { AppError } = require('../middleware/errorHandler');
+
+const VOTE_FIELDS = ['upvotes', 'downvotes', 'score', 'upvotedBy', 'downvotedBy'];
+
+// Carry votes over when a post becomes a comment or vice versa
+const pickVotes = (doc) => Object.fromEntries(VOTE_FIELDS.map(f => [f, doc[f] ?? (f.endsWith('By') ? [] : 0)]));
+
+/**
+ * Recompute a thread's reply_count / last_reply_at / last_reply_by
+ * from its live comments
+ * @param {object} [db] - transaction client; defaults to the pool
+ */
+const syncThreadStats = async (threadId, db = { query }) => {
+  const [replyCount, last] = await Promise.all([
+    Comment.countDocuments({ threadId, isDeleted: false }),
+    Comment.findOne({ threadId, isDeleted: false }, 'authorId createdAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  await db.query(
+    `UPDATE threads SET reply_count = $1, last_reply_at = $2, last_reply_by = $3 WHERE id = $4`,
+    [replyCount, last?.createdAt || null, last?.authorId || null, threadId]
+  );
+};
+
+/**
+ * Move a thread to another category
+ * @returns {Promise<{thread, fromCategoryId}>}
+ */
+const moveThread = async (threadId, categoryId) => {
+  await assertCategoryWritable(categoryId);
+
+  // `old` is read before the update → the previous category
+  const result = await query(
+    `UPDATE threads t SET category_id = $2
+     FROM threads old
+     WHERE t.id = $1 AND old.id = t.id
+     RETURNING t.id, t.title, t.slug, t.category_id, t.author_id, old.category_id AS from_category_id`,
+    [threadId, categoryId]
+  );
+  if (!result.rows[0]) throw new AppError('Thread not found.', 404);
+
+  const { from_category_id: fromCategoryId, ...thread } = result.rows[0];
+  return { thread, fromCategoryId };
+};
+
+/**
+ * Merge `sourceId` into `targetId`:
+ * • the source's opening post becomes a top-level comment of the
+ *   target (same _id, so votes and edit history stay) and its
+ *   comments reply to it
+ * • the source slug (and older redirects to it) lead to the target
+ * • reports follow the content they are about
+ * • the source thread is deleted
+ * Safe to retry: the post-comment is upserted by _id.
+ */
+const mergeThreads = async (sourceId, targetId) => {
+  if (sourceId === targetId) throw new AppError('Cannot merge a thread into itself.', 400);
+
+  const client = await getClient();
+  let source;
+  let target;
+  // What the MongoDB side looked like, to undo it on failure
+  let post = null;
+  let upserted = false;
+  let movedIds = [];
+  let topLevelIds = [];
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock both rows, always in the same order — no deadlocks
+    const threads = await client.query(
+      `SELECT id, title, slug, author_id, category_id FROM threads WHERE id = ANY($1::UUID[]) ORDER BY id FOR UPDATE`,
+      [[sourceId, targetId]]
+    );
+    source = threads.rows.find(t => t.id === sourceId);
+    target = threads.rows.find(t => t.id === targetId);
+    if (!source) throw new AppError('Thread not found.', 404);
+    if (!target) throw new AppError('Target thread not found.', 404);
+    await assertCategoryWritable(target.category_id);
+
+    const comments = await Comment.find({ threadId: sourceId }, '_id parentCommentId').lean();
+    movedIds = comments.map(c => c._id);
+    topLevelIds = comments.filter(c => !c.parentCommentId).map(c => c._id);
+
+    post = await Post.findOne({ threadId: sourceId }).lean();
+    if (post) {
+      const op = post.originalPost;
+      const result = await Comment.updateOne(
+        { _id: post._id },
+        {
+          $setOnInsert: {
+            threadId:        targetId,
+            authorId:        op.authorId,
+            authorUsername:  op.authorUsername,
+            content:         op.content,
+            format:          op.format || 'plain',
+            contentHtml:     op.contentHtml,
+            renderVersion:   op.renderVersion,
+            mentions:        op.mentions || [],
+            parentCommentId: null,
+            isEdited:        op.isEdited || false,
+            editedAt:        op.editedAt,
+            isDeleted:       false,
+            attachments:     op.attachments || [],
+            ...pickVotes(op),
+            createdAt:       post.createdAt,
+            updatedAt:       new Date(),
+          },
+        },
+        { upsert: true, timestamps: false }
+      );
+      upserted = result.upsertedCount > 0;
+      await Comment.updateMany(
+        { threadId: sourceId, parentCommentId: null },
+        { $set: { threadId: targetId, parentCommentId: post._id } }
+      );
+    }
+    await Comment.updateMany({ _id: { $in: movedIds } }, { $set: { threadId: targetId } });
+    await Revision.updateMany({ threadId: sourceId }, { $set: { threadId: targetId } });
+
+    await client.query(`UPDATE thread_redirects SET thread_id = $2 WHERE thread_id = $1`, [sourceId, targetId]);
+    await client.query(
+      `INSERT INTO thread_redirects (slug, thread_id) VALUES ($1, $2)
+       ON CONFLICT (slug) DO UPDATE SET thread_id = EXCLUDED.thread_id`,
+      [source.slug, targetId]
+    );
+
+    // Reports on the opening post now point at its comment
+    await client.query(
+      `UPDATE reports SET thread_id = $2, comment_id = COALESCE(comment_id, $3) WHERE thread_id = $1`,
+      [sourceId, targetId, post ? String(post._id) : null]
+    );
+
+    await client.query(`DELETE FROM threads WHERE id = $1`, [sourceId]);
+    await syncThreadStats(targetId, client);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    // Put the MongoDB side back the way it was
+    if (post || movedIds.length > 0) {
+      await Comment.updateMany({ _id: { $in: topLevelIds } }, { $set: { parentCommentId: null } }).catch(() => {});
+      await Comment.updateMany({ _id: { $in: movedIds } }, { $set: { threadId: sourceId } }).catch(() => {});
+      const docIds = post ? [post._id, ...movedIds] : movedIds;
+      await Revision.updateMany({ docId: { $in: docIds } }, { $set: { threadId: sourceId } }).catch(() => {});
+      if (upserted) await Comment.deleteOne({ _id: post._id }).catch(() => {});
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await Post.deleteOne({ threadId: sourceId });
+
+  return { source, target };
+};
+
+/**
+ * Split a comment and everything below it into a new thread:
+ * the comment becomes the opening post (same _id, votes kept),
+ * its direct replies become top-level comments
+ * @param {object} opts - title, categoryId (defaults to the source's)
+ * @returns {Promise<object>} the new thread row
+ */
+const splitThread = async (sourceId, commentId, { title, categoryId }) => {
+  const root = await Comment.findOne({ _id: commentId, threadId: sourceId }).lean();
+  if (!root) throw new AppError('Comment not found.', 404);
+  if (root.isDeleted) throw new AppError("Deleted comments can't be split off.", 400);
+
+  const [{ descendants }] = await Comment.aggregate([
+    { $match: { _id: root._id } },
+    {
+      $graphLookup: {
+        from: Comment.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parentCommentId',
+        as: 'descendants',
+        restrictSearchWithMatch: { threadId: sourceId },
+      },
+    },
+    { $project: { 'descendants._id': 1 } },
+  ]);
+  const movedIds = descendants.map(d => d._id);
+
+  const client = await getClient();
+  let thread;
+  let rootDeleted = false;
+
+  try {
+    await client.query('BEGIN');
+
+    const sourceResult = await client.query(
+      `SELECT id, category_id FROM threads WHERE id = $1 FOR UPDATE`,
+      [sourceId]
+    );
+    const source = sourceResult.rows[0];
+    if (!source) throw new AppError('Thread not found.', 404);
+    // The new thread's category, whether given or inherited
+    await assertCategoryWritable(categoryId || source.category_id);
+
+    const threadResult = await client.query(
+      `INSERT INTO threads (title, slug, category_id, author_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, title, slug, category_id, author_id, created_at`,
+      [title, slugify(title), categoryId || source.category_id, root.authorId]
+    );
+    thread = threadResult.rows[0];
+
+    await Post.create({
+      _id:      root._id,   // Edit history is keyed by _id
+      threadId: thread.id,
+      originalPost: {
+        authorId:       root.authorId,
+        authorUsername: root.authorUsername,
+        content:        root.content,
+        format:         root.format || 'plain',
+        contentHtml:    root.contentHtml,
+        renderVersion:  root.renderVersion,
+        mentions:       root.mentions || [],
+        isEdited:       root.isEdited,
+        editedAt:       root.editedAt,
+        attachments:    root.attachments || [],
+        ...pickVotes(root),
+      },
+    });
+
+    await Comment.updateMany(
+      { _id: { $in: movedIds }, parentCommentId: root._id },
+      { $set: { parentCommentId: null } }
+    );
+    await Comment.updateMany({ _id: { $in: movedIds } }, { $set: { threadId: thread.id } });
+    await Revision.updateMany({ docId: { $in: [root._id, ...movedIds] } }, { $set: { threadId: thread.id } });
+    await Comment.deleteOne({ _id: root._id });
+    rootDeleted = true;
+
+    // Reports follow the moved comments; reports on the split
+    // comment are now about the new thread itself
+    await client.query(
+      `UPDATE reports
+       SET thread_id  = $2,
+           comment_id = CASE WHEN comment_id = $3 THEN NULL ELSE comment_id END
+       WHERE thread_id = $1 AND comment_id = ANY($4::TEXT[])`,
+      [sourceId, thread.id, String(root._id), [String(root._id), ...movedIds.map(String)]]
+    );
+
+    await syncThreadStats(thread.id, client);
+    await syncThreadStats(sourceId, client);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    // Put the MongoDB side back the way it was
+    if (thread) {
+      await Post.deleteOne({ threadId: thread.id }).catch(() => {});
+      await Comment.updateMany(
+        { _id: { $in: movedIds }, parentCommentId: null },
+        { $set: { parentCommentId: root._id } }
+      ).catch(() => {});
+      await Comment.updateMany({ _id: { $in: movedIds } }, { $set: { threadId: sourceId } }).catch(() => {});
+      await Revision.updateMany({ threadId: thread.id }, { $set: { threadId: sourceId } }).catch(() => {});
+      if (rootDeleted) await Comment.collection.insertOne(root).catch(() => {});
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return thread;
+};
+
+module.exports = { syncThreadStats, moveThread, mergeThreads, splitThread };
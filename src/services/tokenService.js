@@ -0,0 +1,183 @@
+// src/services/tokenService.js
+// ─────────────────────────────────────────────────────────
+// Session tokens: short-lived JWT access tokens + rotating
+// opaque refresh tokens stored (hashed) in refresh_tokens
+//
+// HOW ROTATION WORKS:
+// 1. Login issues a refresh token that starts a new "family"
+// 2. Each refresh revokes the presented token and issues a
+//    new one in the same family (single use)
+// 3. Presenting an already-rotated token means it was copied
+//    → the whole family is revoked and the user must log in
+// ─────────────────────────────────────────────────────────
+const { query, getClient } = require('../config/postgres');
+const {
+  generateAccessToken, generateRandomToken, hashToken,
+} = require('../utils/helpers');
+const { resolveBan } = require('./banService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Insert a refresh token row and return the raw token
+ * @param {object} db       - query() or a transaction client
+ * @param {string} userId
+ * @param {string} familyId - omit to start a new family
+ */
+const storeRefreshToken = async (db, userId, familyId = null) => {
+  const raw = generateRandomToken();
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token, expires_at, family_id)
+     VALUES ($1, $2, $3, COALESCE($4, gen_random_uuid()))
+     RETURNING id`,
+    [userId, hashToken(raw), refreshExpiry(), familyId]
+  );
+  return { id: result.rows[0].id, raw };
+};
+
+/**
+ * Issue a fresh access + refresh token pair (login / register)
+ */
+const issueTokens = async (user) => {
+  const { raw } = await storeRefreshToken({ query }, user.id);
+  return {
+    token: generateAccessToken(user),
+    refreshToken: raw,
+  };
+};
+
+/**
+ * Revoke every live token in a family (reuse detected / logout)
+ */
+const revokeFamily = (db, familyId) => db.query(
+  `UPDATE refresh_tokens SET revoked_at = NOW()
+   WHERE family_id = $1 AND revoked_at IS NULL`,
+  [familyId]
+);
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Throws 401 if the token is unknown, expired, revoked or reused
+ */
+const rotateRefreshToken = async (rawToken) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the row so two parallel refreshes can't both succeed
+    const result = await client.query(
+      `SELECT rt.id, rt.user_id, rt.family_id, rt.expires_at, rt.revoked_at, rt.replaced_by,
+              u.username, u.role, u.token_version, u.is_active, u.is_banned
+       FROM refresh_tokens rt
+       JOIN users u ON u.id = rt.user_id
+       WHERE rt.token = $1
+       FOR UPDATE OF rt`,
+      [hashToken(rawToken)]
+    );
+    const row = result.rows[0];
+
+    if (!row) throw new AppError('Invalid refresh token.', 401);
+
+    if (row.revoked_at) {
+      // A rotated token coming back means someone else holds a copy
+      if (row.replaced_by) {
+        await revokeFamily(client, row.family_id);
+        await client.query('COMMIT');
+        logger.warn(`Refresh token reuse detected for user ${row.user_id} — family revoked`);
+        throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+      }
+      throw new AppError('Refresh token revoked.', 401);
+    }
+
+    if (new Date(row.expires_at) <= new Date()) {
+      throw new AppError('Refresh token expired.', 401);
+    }
+
+    if (!row.is_active || (row.is_banned && await resolveBan(row.user_id))) {
+      throw new AppError('Account is not allowed to sign in.', 403);
+    }
+
+    const next = await storeRefreshToken(client, row.user_id, row.family_id);
+    await client.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2`,
+      [next.id, row.id]
+    );
+
+    await client.query('COMMIT');
+
+    const user = {
+      id: row.user_id,
+      username: row.username,
+      role: row.role,
+      token_version: row.token_version,
+    };
+    return {
+      user,
+      token: generateAccessToken(user),
+      refreshToken: next.raw,
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Revoke a single refresh token (logout from this device)
+ * Returns the owning user id, or null if the token was unknown
+ */
+const revokeRefreshToken = async (rawToken) => {
+  const result = await query(
+    `UPDATE refresh_tokens SET revoked_at = COALESCE(revoked_at, NOW())
+     WHERE token = $1
+     RETURNING user_id`,
+    [hashToken(rawToken)]
+  );
+  return result.rows[0]?.user_id || null;
+};
+
+/**
+ * Revoke every refresh token a user holds (logout everywhere)
+ */
+const revokeAllRefreshTokens = (userId) => query(
+  `UPDATE refresh_tokens SET revoked_at = NOW()
+   WHERE user_id = $1 AND revoked_at IS NULL`,
+  [userId]
+);
+
+/**
+ * Invalidate every access token already issued to a user
+ * Use on role change — refresh tokens keep working and
+ * pick up the new version on their next rotation
+ */
+const bumpTokenVersion = (userId) => query(
+  `UPDATE users SET token_version = token_version + 1 WHERE id = $1`,
+  [userId]
+);
+
+/**
+ * Kill every session a user has: access tokens via the
+ * version bump, refresh tokens via revocation
+ * Use on ban, password change and logout-all
+ */
+const revokeAllSessions = async (userId) => {
+  await Promise.all([
+    bumpTokenVersion(userId),
+    revokeAllRefreshTokens(userId),
+  ]);
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  bumpTokenVersion,
+  revokeAllSessions,
+};
@@ -0,0 +1,142 @@
+// src/services/voteService.js
+// ─────────────────────────────────────────────────────────
+// Atomic voting on original posts and comments
+//
+// WHY NOT LOAD → MUTATE → SAVE?
+// • Two concurrent votes on the same document overwrite
+//   each other's changes (lost updates)
+// • save() rewrites the whole document, not just the vote
+//
+// Instead each vote is ONE conditional update: the filter
+// pins the user's current vote state (e.g. "not in
+// upvotedBy or downvotedBy") and the update applies the
+// matching $pull / $addToSet / $inc. If the state changed
+// in between, the filter simply doesn't match and we retry
+// from the next possible state — counts can't drift.
+// ─────────────────────────────────────────────────────────
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_ATTEMPTS = 5;
+
+const VOTERS = { 1: 'upvotedBy', [-1]: 'downvotedBy' };
+const COUNTS = { 1: 'upvotes',   [-1]: 'downvotes' };
+
+// ── Targets ──────────────────────────────────────────────
+// A target knows its model, how to build a filter for a
+// vote state, where its fields live (update prefix) and
+// how to read the voted element out of a returned document
+
+const prefixKeys = (obj, prefix) =>
+  Object.fromEntries(Object.entries(obj).map(([k, v]) => [`${prefix}${k}`, v]));
+
+const postTarget = (threadId) => ({
+  model:      Post,
+  filter:     (guard) => ({ threadId, ...prefixKeys(guard, 'originalPost.') }),
+  prefix:     'originalPost.',
+  projection: {
+    'originalPost.authorId': 1,
+    'originalPost.upvotes': 1,
+    'originalPost.downvotes': 1,
+    'originalPost.score': 1,
+  },
+  extract:    (doc) => doc.originalPost,
+  notFound:   'Thread not found.',
+});
+
+const commentTarget = (threadId, commentId) => ({
+  model:      Comment,
+  filter:     (guard) => ({ _id: commentId, threadId, isDeleted: false, ...guard }),
+  prefix:     '',
+  projection: { authorId: 1, upvotes: 1, downvotes: 1, score: 1 },
+  extract:    (doc) => doc,
+  notFound:   'Comment not found.',
+});
+
+// ── Vote state transitions ───────────────────────────────
+
+// Filter fragment matching a user's current vote (1, -1 or 0)
+const stateGuard = (userId, state) => {
+  if (state === 0) return { upvotedBy: { $ne: userId }, downvotedBy: { $ne: userId } };
+  return { [VOTERS[state]]: userId };
+};
+
+// Update moving a user's vote from one state to another
+const transitionUpdate = (prefix, userId, from, to) => {
+  const update = { $inc: { [`${prefix}score`]: to - from } };
+  if (from !== 0) {
+    update.$pull = { [`${prefix}${VOTERS[from]}`]: userId };
+    update.$inc[`${prefix}${COUNTS[from]}`] = -1;
+  }
+  if (to !== 0) {
+    update.$addToSet = { [`${prefix}${VOTERS[to]}`]: userId };
+    update.$inc[`${prefix}${COUNTS[to]}`] = 1;
+  }
+  return update;
+};
+
+const summary = (voted, userVote) => ({
+  score:     voted.score,
+  upvotes:   voted.upvotes,
+  downvotes: voted.downvotes,
+  userVote,
+});
+
+// ── Public API ───────────────────────────────────────────
+
+/**
+ * Load the voted element (counts + author, no voter arrays)
+ * Throws 404 if the thread/comment doesn't exist
+ */
+const getVoteTarget = async (target) => {
+  const doc = await target.model.findOne(target.filter({}), target.projection).lean();
+  if (!doc) throw new AppError(target.notFound, 404);
+  return target.extract(doc);
+};
+
+/**
+ * A user's current vote on a target: 1, -1 or 0
+ */
+const getUserVote = async (target, userId) => {
+  if (await target.model.exists(target.filter(stateGuard(userId, 1)))) return 1;
+  if (await target.model.exists(target.filter(stateGuard(userId, -1)))) return -1;
+  return 0;
+};
+
+/**
+ * Set a user's vote atomically
+ * @param {object} target - postTarget() or commentTarget()
+ * @param {1|-1|0} value
+ * @returns {Promise<{score, upvotes, downvotes, userVote, previousVote}>}
+ *   previousVote equals value when nothing changed
+ */
+const castVote = async (target, userId, value) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    // Try every state the vote could be moving FROM — only the
+    // one matching the stored state can succeed. 0 first: most
+    // votes are new votes.
+    for (const from of [0, 1, -1]) {
+      if (from === value) continue;
+      const doc = await target.model.findOneAndUpdate(
+        target.filter(stateGuard(userId, from)),
+        transitionUpdate(target.prefix, userId, from, value),
+        { new: true, projection: target.projection }
+      ).lean();
+      if (doc) return { ...summary(target.extract(doc), value), previousVote: from };
+    }
+
+    // Nothing matched: already voted this way, target gone,
+    // or the same user voted concurrently — check and retry
+    const doc = await target.model.findOne(target.filter(stateGuard(userId, value)), target.projection).lean();
+    if (doc) return { ...summary(target.extract(doc), value), previousVote: value };
+    if (!(await target.model.exists(target.filter({})))) throw new AppError(target.notFound, 404);
+  }
+
+  throw new AppError('Vote could not be recorded. Please try again.', 409);
+};
+
+module.exports = {
+  postTarget, commentTarget,
+  getVoteTarget, getUserVote, castVote,
+};
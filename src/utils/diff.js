@@ -0,0 +1,67 @@
+// src/utils/diff.js
+// ─────────────────────────────────────────────────────────
+// Line diff for the revision history view
+// Classic LCS table over lines, after trimming the common
+// head and tail (edits are usually small, so the table is too)
+// ─────────────────────────────────────────────────────────
+
+// Above this many table cells, fall back to "all removed, all added"
+const MAX_CELLS = 4_000_000;
+
+/**
+ * Diff two texts line by line
+ * @returns {Array<{type: 'equal'|'added'|'removed', lines: string[]}>}
+ *   consecutive lines of the same type are grouped
+ */
+const diffLines = (before = '', after = '') => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Common prefix / suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = a.slice(0, start).map(line => ['equal', line]);
+
+  if (midA.length * midB.length > MAX_CELLS) {
+    ops.push(...midA.map(line => ['removed', line]), ...midB.map(line => ['added', line]));
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+    const n = midA.length;
+    const m = midB.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { ops.push(['equal', midA[i]]); i++; j++; }
+      else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push(['removed', midA[i++]]);
+      else ops.push(['added', midB[j++]]);
+    }
+    while (i < n) ops.push(['removed', midA[i++]]);
+    while (j < m) ops.push(['added', midB[j++]]);
+  }
+
+  ops.push(...a.slice(endA).map(line => ['equal', line]));
+
+  // Group runs of the same type
+  const hunks = [];
+  for (const [type, line] of ops) {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) last.lines.push(line);
+    else hunks.push({ type, lines: [line] });
+  }
+  return hunks;
+};
+
+module.exports = { diffLines };
@@ -2,24 +2,53 @@
 // ─────────────────────────────────────────────────────────
 // Shared utility functions used across controllers
 // ─────────────────────────────────────────────────────────
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const ActivityLog = require('../models/ActivityLog');
+const { AppError } = require('../middleware/errorHandler');
 
 // ── JWT helpers ──────────────────────────────────────────
 
 /**
- * Generate access token (short-lived, ~15min in production)
- * We use 7d here for convenience during dev — tighten in prod
+ * Generate access token (short-lived — 15min by default)
+ * Long-lived sessions are kept alive with refresh tokens instead
+ * `tv` must match users.token_version or authenticate rejects it
  */
 const generateAccessToken = (user) => {
   return jwt.sign(
-    { id: user.id, role: user.role, username: user.username },
+    { id: user.id, role: user.role, username: user.username, tv: user.token_version },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
+/**
+ * Generate a limited token for a banned user — only accepted by
+ * the ban appeal endpoints (see authenticateBanned), never by authenticate
+ */
+const generateAppealToken = (user) => {
+  return jwt.sign(
+    { id: user.id, tv: user.token_version, scope: 'ban_appeal' },
+    process.env.JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+};
+
+// ── Opaque token helpers ─────────────────────────────────
+
+/**
+ * Generate a random opaque token (refresh tokens, reset links…)
+ * Only the raw value is given to the client — store hashToken() of it
+ */
+const generateRandomToken = (bytes = 48) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * SHA-256 a token before storing it
+ * A leaked DB row can't be replayed as a valid token
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // ── Slug helper ──────────────────────────────────────────
 
 /**
@@ -73,6 +102,67 @@ const paginatedResponse = (data, total, page, limit) => ({
   },
 });
 
+// ── Cursor (keyset) pagination ───────────────────────────
+// Page/limit needs OFFSET + COUNT(*): deep pages get slow and
+// rows shift while you page. A cursor instead says "continue
+// after this row" by its sort key values (+ a unique id).
+
+/**
+ * Opaque cursor ↔ any JSON-able object (base64url string)
+ */
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+/**
+ * Returns null for a malformed cursor — callers answer 400
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse cursor pagination params for a list endpoint
+ * Passing `cursor` (empty for the first page) switches from
+ * page/limit to cursor mode; returns null in page mode.
+ * @param {string} sort - a cursor only continues the sort that made it
+ * @param {number} keyLength - sort key values stored in the cursor
+ * @returns {{limit: number, after: any[]|null}|null}
+ */
+const getCursorPagination = (query, sort, keyLength) => {
+  if (query.cursor === undefined) return null;
+
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+  if (!query.cursor) return { limit, after: null };
+
+  const data = decodeCursor(query.cursor);
+  if (!data || data.s !== sort || !Array.isArray(data.k) || data.k.length !== keyLength) {
+    throw new AppError('Invalid cursor.', 400);
+  }
+  return { limit, after: data.k };
+};
+
+/**
+ * Format a cursor-mode page — fetch limit + 1 rows so we know
+ * whether another page exists without counting
+ * @param {Function} keyOf - row → sort key values for its cursor
+ */
+const cursorResponse = (rows, limit, sort, keyOf) => {
+  const data = rows.slice(0, limit);
+  const hasNext = rows.length > limit;
+  return {
+    data,
+    pagination: {
+      limit,
+      hasNext,
+      nextCursor: hasNext ? encodeCursor({ s: sort, k: keyOf(data[data.length - 1]) }) : null,
+    },
+  };
+};
+
 // ── Activity logger ──────────────────────────────────────
 
 /**
@@ -102,11 +192,18 @@ const errorResponse = (res, message, statusCode = 400) => {
 
 module.exports = {
   generateAccessToken,
+  generateAppealToken,
+  generateRandomToken,
+  hashToken,
   slugify,
   hashPassword,
   comparePassword,
   getPagination,
   paginatedResponse,
+  encodeCursor,
+  decodeCursor,
+  getCursorPagination,
+  cursorResponse,
   logActivity,
   successResponse,
   errorResponse,
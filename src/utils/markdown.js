@@ -0,0 +1,99 @@
+// src/utils/markdown.js
+// ─────────────────────────────────────────────────────────
+// Content → safe HTML for posts and comments
+// • plain    — escaped text, blank lines = paragraphs
+// • markdown — GitHub-flavoured Markdown, highlighted code
+// Whatever the renderer produces goes through an allowlist
+// sanitiser, so raw HTML in the source can't inject scripts,
+// styles or event handlers. Links get rel="nofollow ugc".
+// ─────────────────────────────────────────────────────────
+const { Marked } = require('marked');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+
+const FORMATS = ['plain', 'markdown'];
+
+// Bump when rendering output changes — stored HTML with an older
+// version is re-rendered the next time it's read
+const RENDER_VERSION = 1;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const marked = new Marked({ gfm: true, breaks: true });
+marked.use({
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || '').trim().split(/\s+/)[0];
+      const known = language && hljs.getLanguage(language);
+      const body = known ? hljs.highlight(text, { language, ignoreIllegals: true }).value : escapeHtml(text);
+      const classes = known ? `hljs language-${language}` : 'hljs';
+      return `<pre><code class="${classes}">${body}</code></pre>\n`;
+    },
+  },
+});
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'em', 'del', 's', 'code', 'pre', 'span', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    a:    ['href', 'title', 'rel'],  // rel is always overwritten below
+    img:  ['src', 'alt', 'title'],
+    ol:   ['start'],
+    th:   ['align'],
+    td:   ['align'],
+    code: ['class'],
+    span: ['class'],
+  },
+  // Only highlight.js classes
+  allowedClasses: {
+    code: ['hljs', 'language-*'],
+    span: ['hljs-*'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: { ...attribs, rel: 'nofollow ugc noopener noreferrer' },
+    }),
+  },
+};
+
+const renderPlain = (content) => content
+  .split(/\n{2,}/)
+  .map(block => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+/**
+ * Render content to sanitised HTML
+ * @param {string} content
+ * @param {'plain'|'markdown'} [format]
+ * @returns {string}
+ */
+const renderContent = (content, format = 'plain') => {
+  const html = format === 'markdown' ? marked.parse(content || '') : renderPlain(content || '');
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+/**
+ * The fields a Post's originalPost / a Comment stores for its
+ * rendered HTML
+ * @param {string} [prefix] - e.g. 'originalPost.' for $set updates
+ */
+const renderedFields = (content, format = 'plain', prefix = '') => ({
+  [`${prefix}format`]:        format,
+  [`${prefix}contentHtml`]:   renderContent(content, format),
+  [`${prefix}renderVersion`]: RENDER_VERSION,
+});
+
+module.exports = { FORMATS, RENDER_VERSION, renderContent, renderedFields };
@@ -0,0 +1,51 @@
+// src/utils/mime.js
+// ─────────────────────────────────────────────────────────
+// MIME type detection from file contents (magic bytes)
+// The client's Content-Type and file extension are never
+// trusted — an upload is whatever its first bytes say it is.
+// ─────────────────────────────────────────────────────────
+
+// [type, byte offset, signature]
+const SIGNATURES = [
+  ['image/png',       0, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  ['image/jpeg',      0, Buffer.from([0xff, 0xd8, 0xff])],
+  ['image/gif',       0, Buffer.from('GIF87a')],
+  ['image/gif',       0, Buffer.from('GIF89a')],
+  ['application/pdf', 0, Buffer.from('%PDF-')],
+  ['application/zip', 0, Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+];
+
+const matches = (buffer, offset, signature) =>
+  buffer.length >= offset + signature.length &&
+  buffer.subarray(offset, offset + signature.length).equals(signature);
+
+// Valid UTF-8 with no NUL bytes → plain text
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    utf8.decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Detect a file's type from its contents
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type, or null if unrecognised
+ */
+const sniffMimeType = (buffer) => {
+  for (const [type, offset, signature] of SIGNATURES) {
+    if (matches(buffer, offset, signature)) return type;
+  }
+  // RIFF container with a WEBP form type
+  if (matches(buffer, 0, Buffer.from('RIFF')) && matches(buffer, 8, Buffer.from('WEBP'))) {
+    return 'image/webp';
+  }
+  if (buffer.length > 0 && isText(buffer)) return 'text/plain';
+  return null;
+};
+
+module.exports = { sniffMimeType };
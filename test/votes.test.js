@@ -0,0 +1,195 @@
+// test/votes.test.js
+// ─────────────────────────────────────────────────────────
+// POST /vote under concurrency: however requests interleave,
+// the stored counts must agree with the voter arrays
+//
+// Runs against the real app and two test databases:
+// • PostgreSQL PG_TEST_DATABASE (default discussion_portal_test,
+//   other PG_* settings as for the app) — schema is created
+//   with setupDatabase; rows made here are deleted afterwards
+// • MongoDB MONGO_TEST_URI (default
+//   mongodb://localhost:27017/discussion_portal_test) — dropped
+//   afterwards, so never point it at real data
+// With CI set a missing database fails the run; locally the
+// tests are skipped instead.
+// ─────────────────────────────────────────────────────────
+process.env.PG_DATABASE = process.env.PG_TEST_DATABASE || 'discussion_portal_test';
+process.env.DATABASE_URL = '';  // Never the deployment database
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../src/app');
+const { query, pool } = require('../src/config/postgres');
+const setupDatabase = require('../src/config/setupDatabase');
+const Post = require('../src/models/Post');
+const Comment = require('../src/models/Comment');
+const { generateAccessToken } = require('../src/utils/helpers');
+
+const MONGO_TEST_URI = process.env.MONGO_TEST_URI || 'mongodb://localhost:27017/discussion_portal_test';
+const USER_COUNT = 40;
+
+let server;
+let connected = false;
+let skipReason = null;
+let users = [];       // { id, token }
+let author;
+let categoryId;
+
+before(async () => {
+  try {
+    await mongoose.connect(MONGO_TEST_URI, { serverSelectionTimeoutMS: 2000 });
+    await query('SELECT 1');
+    connected = true;
+  } catch (err) {
+    await Promise.allSettled([mongoose.disconnect(), pool.end()]);
+    const message = `Test databases not reachable: ${err.message}`;
+    if (process.env.CI) throw new Error(message);
+    skipReason = message;
+    return;
+  }
+
+  await setupDatabase();
+
+  const run = crypto.randomBytes(4).toString('hex');
+  const created = await query(
+    `INSERT INTO users (username, email, password, email_verified)
+     SELECT 'vote_' || $1 || '_' || n, 'vote_' || $1 || '_' || n || '@example.com', 'x', true
+     FROM generate_series(0, $2) AS n
+     RETURNING id, username, role, token_version`,
+    [run, USER_COUNT]
+  );
+  [author, ...users] = created.rows.map(u => ({ ...u, token: generateAccessToken(u) }));
+
+  const category = await query(
+    `INSERT INTO categories (name, slug) VALUES ($1, $1) RETURNING id`,
+    [`vote-test-${run}`]
+  );
+  categoryId = category.rows[0].id;
+
+  server = app.listen(0);
+});
+
+after(async () => {
+  if (!connected) return;
+  server?.close();
+  if (categoryId) {
+    await query(`DELETE FROM threads WHERE category_id = $1`, [categoryId]);
+    await query(`DELETE FROM categories WHERE id = $1`, [categoryId]);
+  }
+  if (author) await query(`DELETE FROM users WHERE id = ANY($1::UUID[])`, [[author, ...users].map(u => u.id)]);
+  await mongoose.connection.dropDatabase();
+  await Promise.all([mongoose.disconnect(), pool.end()]);
+});
+
+const skipped = (t) => {
+  if (skipReason) t.skip(skipReason);
+  return Boolean(skipReason);
+};
+
+// ── Helpers ──────────────────────────────────────────────
+
+const createThread = async () => {
+  const slug = `vote-test-${crypto.randomUUID()}`;
+  const result = await query(
+    `INSERT INTO threads (title, slug, category_id, author_id) VALUES ($1, $1, $2, $3) RETURNING id`,
+    [slug, categoryId, author.id]
+  );
+  const threadId = result.rows[0].id;
+  await Post.create({
+    threadId,
+    originalPost: { authorId: author.id, authorUsername: author.username, content: 'Opening post' },
+  });
+  return threadId;
+};
+
+const createComment = async (threadId) => {
+  const comment = await Comment.create({
+    threadId, authorId: author.id, authorUsername: author.username, content: 'A comment',
+  });
+  return String(comment._id);
+};
+
+const vote = (path, user, value) => request(server)
+  .post(`/api/v1/threads/${path}`)
+  .set('Authorization', `Bearer ${user.token}`)
+  .send({ value });
+
+// Fire every vote at once; under heavy contention a vote may
+// give up with 409, anything else is a failure
+const voteAll = async (votes) => {
+  const responses = await Promise.all(votes.map(([path, user, value]) => vote(path, user, value)));
+  for (const res of responses) assert.ok([200, 409].includes(res.status), JSON.stringify(res.body));
+  return responses;
+};
+
+// counts ↔ arrays, no duplicates, nobody in both arrays
+const assertConsistent = (voted) => {
+  const { upvotes, downvotes, score, upvotedBy, downvotedBy } = voted;
+  assert.equal(new Set(upvotedBy).size, upvotedBy.length, 'duplicate upvoter');
+  assert.equal(new Set(downvotedBy).size, downvotedBy.length, 'duplicate downvoter');
+  assert.ok(upvotedBy.every(id => !downvotedBy.includes(id)), 'user in both voter arrays');
+  assert.equal(upvotes, upvotedBy.length);
+  assert.equal(downvotes, downvotedBy.length);
+  assert.equal(score, upvotes - downvotes);
+};
+
+const loadPost = async (threadId) => (await Post.findOne({ threadId }).lean()).originalPost;
+const loadComment = (commentId) => Comment.findById(commentId).lean();
+
+// ── Tests ────────────────────────────────────────────────
+
+test('different users voting on a thread at once are all counted', async (t) => {
+  if (skipped(t)) return;
+  const threadId = await createThread();
+  const up = users.slice(0, 25);
+  const down = users.slice(25);
+
+  const responses = await voteAll([
+    ...up.map(user => [`${threadId}/vote`, user, 1]),
+    ...down.map(user => [`${threadId}/vote`, user, -1]),
+  ]);
+  assert.ok(responses.every(res => res.status === 200), 'votes from different users never conflict');
+
+  const voted = await loadPost(threadId);
+  assertConsistent(voted);
+  assert.deepEqual([...voted.upvotedBy].sort(), up.map(u => u.id).sort());
+  assert.deepEqual([...voted.downvotedBy].sort(), down.map(u => u.id).sort());
+  assert.equal(voted.score, up.length - down.length);
+});
+
+test('one user sending many conflicting votes at once leaves at most one vote', async (t) => {
+  if (skipped(t)) return;
+  const threadId = await createThread();
+  const [user] = users;
+
+  await voteAll(Array.from({ length: 30 }, (_, i) => [`${threadId}/vote`, user, [1, -1, 0][i % 3]]));
+
+  const voted = await loadPost(threadId);
+  assertConsistent(voted);
+  assert.ok(voted.upvotes + voted.downvotes <= 1);
+});
+
+test('many users each voting repeatedly on a comment stay consistent', async (t) => {
+  if (skipped(t)) return;
+  const threadId = await createThread();
+  const commentId = await createComment(threadId);
+  const path = `${threadId}/comments/${commentId}/vote`;
+  const voters = users.slice(0, 15);
+
+  // Every voter sends 1, -1, 0, 1 concurrently with everyone else
+  await voteAll(voters.flatMap(user => [1, -1, 0, 1].map(value => [path, user, value])));
+  assertConsistent(await loadComment(commentId));
+
+  // A final vote from each voter is what sticks
+  await voteAll(voters.map((user, i) => [path, user, i % 2 ? 1 : -1]));
+  const settled = await loadComment(commentId);
+  assertConsistent(settled);
+  assert.equal(settled.upvotes, Math.floor(voters.length / 2));
+  assert.equal(settled.downvotes, Math.ceil(voters.length / 2));
+});